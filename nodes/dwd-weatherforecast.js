@@ -4,9 +4,38 @@ module.exports = function (RED) {
     const AdmZip = require("adm-zip");
     const { parseStringPromise } = require("xml2js");
     const moment = require("moment-timezone");
+    const fs = require("fs");
+    const path = require("path");
+    const crypto = require("crypto");
+    const sax = require("sax");
+    const zlib = require("zlib");
+    const { Readable } = require("stream");
 
     const DEFAULT_URL_TEMPLATE =
         "https://opendata.dwd.de/weather/local_forecasts/mos/MOSMIX_L/single_stations/{station}/kml/MOSMIX_L_LATEST_{station}.kmz";
+    const DEFAULT_TZ = "Europe/Berlin";
+    const DEFAULT_STATION_CATALOG =
+        "https://www.dwd.de/DE/leistungen/met_verfahren_mosmix/mosmix_stationskatalog.cfg?view=nasPublication";
+    const STATION_CATALOG_TTL = 24 * 3600 * 1000;
+
+    // Produkte: Einzelstation (MOSMIX_L) oder Gesamtdatei aller Stationen (MOSMIX_L / MOSMIX_S)
+    // issueHours: Ausgabezeiten der Läufe (UTC), publishDelay: übliche Verzögerung bis zur Veröffentlichung (min)
+    const MOSMIX_L_ISSUE_HOURS = [3, 9, 15, 21];
+    const PRODUCTS = {
+        mosmix_l: { url: DEFAULT_URL_TEMPLATE, allStations: false, issueHours: MOSMIX_L_ISSUE_HOURS, publishDelay: 60 },
+        mosmix_l_all: {
+            url: "https://opendata.dwd.de/weather/local_forecasts/mos/MOSMIX_L/all_stations/kml/MOSMIX_L_LATEST.kmz",
+            allStations: true,
+            issueHours: MOSMIX_L_ISSUE_HOURS,
+            publishDelay: 60
+        },
+        mosmix_s: {
+            url: "https://opendata.dwd.de/weather/local_forecasts/mos/MOSMIX_S/all_stations/kml/MOSMIX_S_LATEST_240.kmz",
+            allStations: true,
+            issueHours: Array.from({ length: 24 }, (_, h) => h),
+            publishDelay: 30
+        }
+    };
 
     // 🔑 i18n Namespace + Helper (global im Modul, für alle Funktionen)
     const NS = "node-red-contrib-dwd-weatherforecast/dwd-weatherforecast";
@@ -19,13 +48,295 @@ module.exports = function (RED) {
         const n = Number(String(x).trim());
         return Number.isFinite(n) ? n : null;
     };
-    const toC = (k) => (k == null ? null : k - 273.15);
-    const toKmh = (ms) => (ms == null ? null : ms * 3.6);
-    const toHpa = (pa) => (pa == null ? null : pa / 100);
-    const toKm = (m) => (m == null ? null : m / 1000);
-
     const endsWithAny = (key, names) => names.some((n) => key === n || key.endsWith(":" + n));
 
+    // ---- Einheitensysteme ----
+    // Beaufort-Grade: Untergrenzen in m/s für 1..12
+    const BEAUFORT_LIMITS = [0.3, 1.6, 3.4, 5.5, 8.0, 10.8, 13.9, 17.2, 20.8, 24.5, 28.5, 32.7];
+    const toBeaufort = (ms) => BEAUFORT_LIMITS.filter((limit) => ms >= limit).length;
+
+    // Zieleinheiten je Größe: Umrechnung aus der MOSMIX-Rohgröße (K, m/s, Pa, m, mm) + Nachkommastellen
+    const UNITS = {
+        temperature: {
+            "K": [(v) => v, 2],
+            "°C": [(v) => v - 273.15, 2],
+            "°F": [(v) => (v - 273.15) * 1.8 + 32, 2]
+        },
+        speed: {
+            "m/s": [(v) => v, 2],
+            "km/h": [(v) => v * 3.6, 2],
+            "mph": [(v) => v / 0.44704, 1],
+            "kn": [(v) => v / 0.514444, 1],
+            "Bft": [toBeaufort, 0]
+        },
+        pressure: {
+            "Pa": [(v) => v, null],
+            "hPa": [(v) => v / 100, 1],
+            "inHg": [(v) => v / 3386.389, 2],
+            "mmHg": [(v) => v / 133.322, 1]
+        },
+        distance: {
+            "m": [(v) => v, null],
+            "km": [(v) => v / 1000, 1],
+            "mi": [(v) => v / 1609.344, 2],
+            "nmi": [(v) => v / 1852, 2]
+        },
+        precipitation: {
+            "mm": [(v) => v, 2],
+            "in": [(v) => v / 25.4, 3]
+        }
+    };
+    const UNIT_QUANTITIES = Object.keys(UNITS);
+
+    const UNIT_SYSTEMS = {
+        si: { temperature: "K", speed: "m/s", pressure: "Pa", distance: "m", precipitation: "mm" },
+        metric: { temperature: "°C", speed: "km/h", pressure: "hPa", distance: "km", precipitation: "mm" },
+        imperial: { temperature: "°F", speed: "mph", pressure: "inHg", distance: "mi", precipitation: "in" },
+        nautical: { temperature: "°C", speed: "kn", pressure: "hPa", distance: "nmi", precipitation: "mm" }
+    };
+
+    const pickUnits = (units) => Object.fromEntries(UNIT_QUANTITIES.map((q) => [q, units[q]]));
+
+    // "imperial" | { system?, temperature?, speed?, … } -> { system, <Größe>: Einheit };
+    // unbekannte Einheiten fallen auf `base` zurück, einzelne Einheiten ergeben "custom"
+    function resolveUnits(input, base) {
+        const fallback = base || { system: "metric", ...UNIT_SYSTEMS.metric };
+        if (input == null || input === "") return fallback;
+        const spec = typeof input === "object" ? input : { system: String(input).trim().toLowerCase() };
+        const system = UNIT_SYSTEMS[spec.system] ? spec.system : null;
+        const out = { system: system || fallback.system, ...(system ? UNIT_SYSTEMS[system] : pickUnits(fallback)) };
+        let custom = false;
+        for (const q of UNIT_QUANTITIES) {
+            if (spec[q] != null && UNITS[q][spec[q]] && spec[q] !== out[q]) {
+                out[q] = spec[q];
+                custom = true;
+            }
+        }
+        if (custom || spec.system === "custom") out.system = "custom";
+        return out;
+    }
+
+    // Altkonfiguration mit den vier Schaltern (toC, windToKmh, …) -> Einheiten
+    function legacyUnits(config) {
+        const flags = [config.toC, config.windToKmh, config.pressureToHpa, config.visibilityToKm].map((x) => x !== false);
+        if (flags.every(Boolean)) return resolveUnits("metric");
+        if (!flags.some(Boolean)) return resolveUnits("si");
+        return resolveUnits({
+            system: "custom",
+            temperature: flags[0] ? "°C" : "K",
+            speed: flags[1] ? "km/h" : "m/s",
+            pressure: flags[2] ? "hPa" : "Pa",
+            distance: flags[3] ? "km" : "m"
+        }, resolveUnits("si"));
+    }
+
+    // Größe + Einheit -> { unit, convert }
+    function unitTarget(quantity, unit) {
+        const [fn, digits] = UNITS[quantity][unit];
+        return { unit, convert: (v) => (digits == null ? fn(v) : +fn(v).toFixed(digits)) };
+    }
+
+    // ---- MOSMIX-Elementkatalog ----
+    // Umrechnung je Größe: liefert { unit, convert } passend zu den Einheiten (cfg.units)
+    const round = (digits) => (v) => +v.toFixed(digits);
+    const unitsOf = (cfg) => (cfg && cfg.units) || UNIT_SYSTEMS.metric;
+    const QUANTITIES = {
+        temperature: (cfg) => unitTarget("temperature", unitsOf(cfg).temperature),
+        // Differenzen: K bzw. °F ohne Nullpunktverschiebung
+        temperatureDelta: (cfg) =>
+            unitsOf(cfg).temperature === "°F" ? { unit: "°F", convert: (v) => +(v * 1.8).toFixed(2) } : { unit: "K", convert: round(2) },
+        speed: (cfg) => unitTarget("speed", unitsOf(cfg).speed),
+        direction: () => ({ unit: "°", convert: (v) => v }),
+        pressure: (cfg) => unitTarget("pressure", unitsOf(cfg).pressure),
+        distance: (cfg) => unitTarget("distance", unitsOf(cfg).distance),
+        precipitation: (cfg) => unitTarget("precipitation", unitsOf(cfg).precipitation),
+        percent: () => ({ unit: "%", convert: (v) => v }),
+        code: () => ({ unit: null, convert: (v) => Math.round(v) }),
+        duration: () => ({ unit: "min", convert: (v) => +(v / 60).toFixed(1) }),
+        durationDay: () => ({ unit: "h", convert: (v) => +(v / 3600).toFixed(2) }),
+        // kJ/m² je Stunde bzw. je 3 Stunden -> mittlere Leistung in W/m²
+        radiation1h: () => ({ unit: "W/m²", convert: (v) => +(v / 3.6).toFixed(1) }),
+        radiation3h: () => ({ unit: "W/m²", convert: (v) => +(v / 10.8).toFixed(1) }),
+    };
+
+    // code -> { name (Feldname im Record), quantity, unit (Rohwert), desc }
+    const MOSMIX_ELEMENTS = {};
+    const defineElements = (quantity, unit, list) => {
+        for (const [code, name, desc] of list) MOSMIX_ELEMENTS[code] = { code, name, quantity, unit, desc };
+    };
+
+    defineElements("temperature", "K", [
+        ["TTT", "temperature", "Temperature 2 m above surface"],
+        ["Td", "dewPoint", "Dew point 2 m above surface"],
+        ["TX", "temperatureMax", "Maximum temperature within the last 12 hours"],
+        ["TN", "temperatureMin", "Minimum temperature within the last 12 hours"],
+        ["TM", "temperatureMean24h", "Mean temperature during the last 24 hours"],
+        ["TG", "groundTemperatureMin", "Minimum surface temperature at 5 cm within the last 12 hours"],
+        ["T5cm", "temperature5cm", "Temperature 5 cm above surface"],
+    ]);
+    defineElements("temperatureDelta", "K", [
+        ["E_TTT", "temperatureError", "Absolute error of temperature 2 m above surface"],
+        ["E_Td", "dewPointError", "Absolute error of dew point 2 m above surface"],
+    ]);
+    defineElements("direction", "°", [
+        ["DD", "windDir", "Wind direction"],
+        ["E_DD", "windDirError", "Absolute error of wind direction"],
+    ]);
+    defineElements("speed", "m/s", [
+        ["FF", "windSpeed", "Wind speed"],
+        ["E_FF", "windSpeedError", "Absolute error of wind speed 10 m above surface"],
+        ["FX1", "windGust", "Maximum wind gust within the last hour"],
+        ["FX3", "windGust3h", "Maximum wind gust within the last 3 hours"],
+        ["FXh", "windGust12h", "Maximum wind gust within the last 12 hours"],
+    ]);
+    defineElements("pressure", "Pa", [
+        ["PPPP", "pressure", "Surface pressure, reduced"],
+        ["E_PPP", "pressureError", "Absolute error of surface pressure"],
+    ]);
+    defineElements("distance", "m", [["VV", "visibility", "Visibility"]]);
+    defineElements("percent", "%", [
+        ["N", "cloudCoverTotal", "Total cloud cover"],
+        ["Neff", "cloudCover", "Effective cloud cover"],
+        ["N05", "cloudCoverBelow500ft", "Cloud cover below 500 ft"],
+        ["Nl", "cloudCoverLow", "Low cloud cover (below 2 km)"],
+        ["Nm", "cloudCoverMid", "Midlevel cloud cover (2–7 km)"],
+        ["Nh", "cloudCoverHigh", "High cloud cover (above 7 km)"],
+        ["Nlm", "cloudCoverLowMid", "Cloud cover of low and mid level clouds below 7000 m"],
+        ["VV10", "visibilityBelow1kmProbability", "Probability of visibility below 1000 m"],
+        ["FX625", "gustProbability25kn6h", "Probability of wind gusts >= 25 kn (46 km/h) within the last 6 hours"],
+        ["FX640", "gustProbability40kn6h", "Probability of wind gusts >= 40 kn (74 km/h) within the last 6 hours"],
+        ["FX655", "gustProbability55kn6h", "Probability of wind gusts >= 55 kn (102 km/h) within the last 6 hours"],
+        ["FXh25", "gustProbability25kn12h", "Probability of wind gusts >= 25 kn (46 km/h) within the last 12 hours"],
+        ["FXh40", "gustProbability40kn12h", "Probability of wind gusts >= 40 kn (74 km/h) within the last 12 hours"],
+        ["FXh55", "gustProbability55kn12h", "Probability of wind gusts >= 55 kn (102 km/h) within the last 12 hours"],
+        ["wwP", "precipProbability", "Probability of precipitation within the last hour"],
+        ["wwP6", "precipProbability6h", "Probability of precipitation within the last 6 hours"],
+        ["wwPh", "precipProbability12h", "Probability of precipitation within the last 12 hours"],
+        ["wwPd", "precipProbability24h", "Probability of precipitation within the last 24 hours"],
+        ["wwT", "thunderProbability", "Probability of thunderstorms within the last hour"],
+        ["wwT6", "thunderProbability6h", "Probability of thunderstorms within the last 6 hours"],
+        ["wwTh", "thunderProbability12h", "Probability of thunderstorms within the last 12 hours"],
+        ["wwTd", "thunderProbability24h", "Probability of thunderstorms within the last 24 hours"],
+        ["wwM", "fogProbability", "Probability of fog within the last hour"],
+        ["wwM6", "fogProbability6h", "Probability of fog within the last 6 hours"],
+        ["wwMh", "fogProbability12h", "Probability of fog within the last 12 hours"],
+        ["wwMd", "fogProbability24h", "Probability of fog within the last 24 hours"],
+        ["wwS", "solidPrecipProbability", "Probability of solid precipitation within the last hour"],
+        ["wwS6", "solidPrecipProbability6h", "Probability of solid precipitation within the last 6 hours"],
+        ["wwSh", "solidPrecipProbability12h", "Probability of solid precipitation within the last 12 hours"],
+        ["wwL", "drizzleProbability", "Probability of drizzle within the last hour"],
+        ["wwL6", "drizzleProbability6h", "Probability of drizzle within the last 6 hours"],
+        ["wwLh", "drizzleProbability12h", "Probability of drizzle within the last 12 hours"],
+        ["wwF", "freezingRainProbability", "Probability of freezing rain within the last hour"],
+        ["wwF6", "freezingRainProbability6h", "Probability of freezing rain within the last 6 hours"],
+        ["wwFh", "freezingRainProbability12h", "Probability of freezing rain within the last 12 hours"],
+        ["wwC", "convectivePrecipProbability", "Probability of convective precipitation within the last hour"],
+        ["wwC6", "convectivePrecipProbability6h", "Probability of convective precipitation within the last 6 hours"],
+        ["wwCh", "convectivePrecipProbability12h", "Probability of convective precipitation within the last 12 hours"],
+        ["wwD", "stratiformPrecipProbability", "Probability of stratiform precipitation within the last hour"],
+        ["wwD6", "stratiformPrecipProbability6h", "Probability of stratiform precipitation within the last 6 hours"],
+        ["wwDh", "stratiformPrecipProbability12h", "Probability of stratiform precipitation within the last 12 hours"],
+        ["R101", "precipProbability1h0p1mm", "Probability of precipitation > 0.1 mm during the last hour"],
+        ["R102", "precipProbability1h0p2mm", "Probability of precipitation > 0.2 mm during the last hour"],
+        ["R103", "precipProbability1h0p3mm", "Probability of precipitation > 0.3 mm during the last hour"],
+        ["R105", "precipProbability1h0p5mm", "Probability of precipitation > 0.5 mm during the last hour"],
+        ["R107", "precipProbability1h0p7mm", "Probability of precipitation > 0.7 mm during the last hour"],
+        ["R110", "precipProbability1h1mm", "Probability of precipitation > 1.0 mm during the last hour"],
+        ["R120", "precipProbability1h2mm", "Probability of precipitation > 2.0 mm during the last hour"],
+        ["R130", "precipProbability1h3mm", "Probability of precipitation > 3.0 mm during the last hour"],
+        ["R150", "precipProbability1h5mm", "Probability of precipitation > 5.0 mm during the last hour"],
+        ["R600", "precipProbability6h0mm", "Probability of precipitation > 0.0 mm during the last 6 hours"],
+        ["R602", "precipProbability6h0p2mm", "Probability of precipitation > 0.2 mm during the last 6 hours"],
+        ["R610", "precipProbability6h1mm", "Probability of precipitation > 1.0 mm during the last 6 hours"],
+        ["R650", "precipProbability6h5mm", "Probability of precipitation > 5.0 mm during the last 6 hours"],
+        ["Rh00", "precipProbability12h0mm", "Probability of precipitation > 0.0 mm during the last 12 hours"],
+        ["Rh02", "precipProbability12h0p2mm", "Probability of precipitation > 0.2 mm during the last 12 hours"],
+        ["Rh10", "precipProbability12h1mm", "Probability of precipitation > 1.0 mm during the last 12 hours"],
+        ["Rh50", "precipProbability12h5mm", "Probability of precipitation > 5.0 mm during the last 12 hours"],
+        ["Rd00", "precipProbability24h0mm", "Probability of precipitation > 0.0 mm during the last 24 hours"],
+        ["Rd02", "precipProbability24h0p2mm", "Probability of precipitation > 0.2 mm during the last 24 hours"],
+        ["Rd10", "precipProbability24h1mm", "Probability of precipitation > 1.0 mm during the last 24 hours"],
+        ["Rd50", "precipProbability24h5mm", "Probability of precipitation > 5.0 mm during the last 24 hours"],
+        ["RSunD", "relativeSunshine24h", "Relative sunshine duration within the last 24 hours"],
+        ["PSd00", "sunshineProbability24h0pct", "Probability of relative sunshine duration > 0 % within 24 hours"],
+        ["PSd30", "sunshineProbability24h30pct", "Probability of relative sunshine duration > 30 % within 24 hours"],
+        ["PSd60", "sunshineProbability24h60pct", "Probability of relative sunshine duration > 60 % within 24 hours"],
+        ["RRad1", "globalRadiationRelative", "Global irradiance within the last hour relative to clear sky"],
+    ]);
+    defineElements("precipitation", "kg/m²", [
+        ["RR1c", "precipitation", "Total precipitation during the last hour consistent with significant weather"],
+        ["RR3c", "precipitation3h", "Total precipitation during the last 3 hours consistent with significant weather"],
+        ["RR6c", "precipitation6h", "Total precipitation during the last 6 hours consistent with significant weather"],
+        ["RRhc", "precipitation12h", "Total precipitation during the last 12 hours consistent with significant weather"],
+        ["RRdc", "precipitation24h", "Total precipitation during the last 24 hours consistent with significant weather"],
+        ["RRL1c", "liquidPrecipitation", "Total liquid precipitation during the last hour consistent with significant weather"],
+        ["RRS1c", "snowWaterEquivalent", "Snow-rain equivalent during the last hour"],
+        ["RRS3c", "snowWaterEquivalent3h", "Snow-rain equivalent during the last 3 hours"],
+        ["PEvap", "evapotranspiration24h", "Potential evapotranspiration within the last 24 hours"],
+    ]);
+    defineElements("code", null, [
+        ["ww", "weatherCode", "Significant weather (WMO 4677)"],
+        ["ww3", "weatherCode3h", "Significant weather of the last 3 hours"],
+        ["W1W2", "pastWeatherCode6h", "Past weather during the last 6 hours"],
+        ["WPc11", "weatherCodeOptional1h", "Optional significant weather (highest priority) during the last hour"],
+        ["WPc31", "weatherCodeOptional3h", "Optional significant weather (highest priority) during the last 3 hours"],
+        ["WPc61", "weatherCodeOptional6h", "Optional significant weather (highest priority) during the last 6 hours"],
+        ["WPch1", "weatherCodeOptional12h", "Optional significant weather (highest priority) during the last 12 hours"],
+        ["WPcd1", "weatherCodeOptional24h", "Optional significant weather (highest priority) during the last 24 hours"],
+    ]);
+    defineElements("duration", "s", [
+        ["SunD1", "sunshineDuration", "Sunshine duration during the last hour"],
+        ["SunD3", "sunshineDuration3h", "Sunshine duration during the last 3 hours"],
+        ["DRR1", "precipitationDuration", "Duration of precipitation within the last hour"],
+    ]);
+    defineElements("durationDay", "s", [["SunD", "sunshineDurationYesterday", "Yesterday's total sunshine duration"]]);
+    defineElements("radiation1h", "kJ/m²", [["Rad1h", "globalRadiation", "Global irradiance within the last hour"]]);
+    defineElements("radiation3h", "kJ/m²", [
+        ["RadS3", "shortwaveBalance3h", "Short wave radiation balance during the last 3 hours"],
+        ["RadL3", "longwaveBalance3h", "Long wave radiation balance during the last 3 hours"],
+    ]);
+
+    // Wahrscheinlichkeitsgruppe je Zeitfenster (Felder in %; Böenschwellen 25/40/55 kn ≈ 46/74/102 km/h,
+    // Namen bleiben in Knoten: feste DWD-Schwellen, unabhängig von der eingestellten Windeinheit)
+    const PROBABILITY_GROUPS = {
+        "1h": ["wwP", "R101", "R102", "wwT", "wwM", "wwF", "wwS"],
+        "6h": ["wwP6", "R600", "R650", "wwT6", "wwM6", "FX625", "FX640", "FX655"],
+        "12h": ["wwPh", "Rh00", "Rh10", "wwTh", "wwMh", "FXh25", "FXh40", "FXh55"],
+        "24h": ["wwPd", "Rd00", "Rd10", "wwTd", "wwMd"]
+    };
+
+    // ["1h","12h"] | "1h, 6h" | "all" | true -> Zeitfenster
+    function parseProbabilityWindows(input) {
+        if (input == null || input === "" || input === false) return [];
+        if (input === true) return Object.keys(PROBABILITY_GROUPS);
+        const list = (Array.isArray(input) ? input : String(input).split(/[\s,;]+/)).map((s) => String(s).trim());
+        if (list.some((s) => s.toLowerCase() === "all")) return Object.keys(PROBABILITY_GROUPS);
+        return Object.keys(PROBABILITY_GROUPS).filter((w) => list.includes(w));
+    }
+
+    // Codes, die normalizeRecords immer als Kernfelder ausgibt
+    const CORE_ELEMENT_CODES = ["TTT", "FF", "DD", "PPPP", "VV", "Neff", "RR1c"];
+
+    // Zieleinheit + Konverter eines Codes (unbekannte Codes: Rohwert unter dem Code)
+    function elementTarget(code, cfg) {
+        const el = MOSMIX_ELEMENTS[code];
+        if (!el) return { name: code, unit: null, convert: (v) => v };
+        const q = QUANTITIES[el.quantity](cfg);
+        return { name: el.name, unit: q.unit, convert: q.convert };
+    }
+
+    // "TTT, FX1" | ["TTT","FX1"] | "all" -> Liste von Codes
+    // ohne `available` (Konfiguration beim Start) bleibt "all" als Marker erhalten und wird nach dem Parsen aufgelöst
+    function parseParameterList(input, available) {
+        if (input == null || input === "") return [];
+        const list = Array.isArray(input) ? input : String(input).split(/[\s,;]+/);
+        const codes = list.map((s) => String(s).trim()).filter(Boolean);
+        if (codes.some((c) => c.toLowerCase() === "all")) {
+            return available ? available.filter((c) => MOSMIX_ELEMENTS[c]) : ["all"];
+        }
+        return [...new Set(codes)];
+    }
+
     // ---- KML helpers ----
     function getKmlRoot(tree) {
         if (!tree || typeof tree !== "object") return tree;
@@ -381,14 +692,15 @@ module.exports = function (RED) {
                             .concat(textBlocks(fc, ["value"]))
                             .concat(textBlocks(fc, ["values"]));
 
+                        // fehlende Werte ("-") bleiben als null erhalten, damit die
+                        // Indizes zu den ForecastTimeSteps passen
                         const numbers = blocks
                             .join(" ")
                             .trim()
                             .split(/\s+/)
-                            .map(safeNumber)
-                            .filter((n) => n != null);
+                            .map(safeNumber);
 
-                        if (numbers.length) {
+                        if (numbers.some((n) => n != null)) {
                             params[code] = { code, unit: null, values: numbers };
                             found++;
                         }
@@ -470,7 +782,7 @@ module.exports = function (RED) {
             let mv;
             while ((mv = valTagRe.exec(block))) {
                 values.push(
-                    ...mv[1].trim().split(/\s+/).map(safeNumber).filter((n) => n != null)
+                    ...mv[1].trim().split(/\s+/).map(safeNumber)
                 );
             }
             if (code && values.length && !params[code]) {
@@ -553,6 +865,332 @@ module.exports = function (RED) {
         return params;
     }
 
+    // KML "lon,lat,höhe" -> { lat, lon, elevation } (oder null)
+    function parseKmlCoordinates(str) {
+        const parts = String(str || "").trim().split(",").map(safeNumber);
+        if (parts.length < 2 || parts[0] == null || parts[1] == null) return null;
+        return { lat: parts[1], lon: parts[0], elevation: parts[2] ?? null };
+    }
+
+    // ---- Modelllauf (dwd:ProductDefinition) ----
+    const RUN_TAGS = ["Issuer", "ProductID", "GeneratingProcess", "IssueTime"];
+
+    // { Issuer, ProductID, GeneratingProcess, IssueTime, models } -> _meta.run
+    function buildRunInfo(def) {
+        if (!def || !def.IssueTime) return null;
+        const issueTs = Date.parse(def.IssueTime);
+        return {
+            issueTime: Number.isFinite(issueTs) ? new Date(issueTs).toISOString() : def.IssueTime,
+            issueTs: Number.isFinite(issueTs) ? issueTs : null,
+            productId: def.ProductID || null,
+            generatingProcess: def.GeneratingProcess || null,
+            issuer: def.Issuer || null,
+            referencedModels: def.models || []
+        };
+    }
+
+    function parseProductDefinition(kmlStr) {
+        const m = String(kmlStr || "").match(
+            /<(?:[\w-]+:)?ProductDefinition\b[\s\S]*?<\/(?:[\w-]+:)?ProductDefinition>/
+        );
+        if (!m) return null;
+        const block = m[0];
+        const def = { models: [] };
+        for (const name of RUN_TAGS) {
+            const v = block.match(new RegExp(`<(?:[\\w-]+:)?${name}\\b[^>]*>([^<]*)<`));
+            if (v) def[name] = v[1].trim();
+        }
+        const modelRe = /<(?:[\w-]+:)?Model\b([^>]*)>/g;
+        let mm;
+        while ((mm = modelRe.exec(block))) {
+            const attr = (a) => (mm[1].match(new RegExp(`(?:[\\w-]+:)?${a}="([^"]*)"`)) || [])[1] || null;
+            def.models.push({ name: attr("name"), referenceTime: attr("referenceTime") });
+        }
+        return buildRunInfo(def);
+    }
+
+    // E: Streaming-Extraktion aus der Gesamtdatei aller Stationen.
+    // Die KML wird per SAX direkt aus dem entpackten Datenstrom gelesen; nur die
+    // Placemarks der gewünschten Stationen werden gesammelt, kein DOM im Speicher.
+    function streamExtractStations(entry, stationIds, diagFn) {
+        return new Promise((resolve, reject) => {
+            const wanted = new Set(stationIds.map((s) => String(s).toUpperCase().trim()));
+            const tsStrings = [];
+            const stations = {};
+            const def = { models: [] }; // ProductDefinition
+            const localName = (n) => n.slice(n.lastIndexOf(":") + 1);
+
+            const compressed = entry.getCompressedData();
+            const raw = Readable.from([compressed]);
+            const source = entry.header.method === 8 ? raw.pipe(zlib.createInflateRaw()) : raw;
+            const parser = sax.createStream(true, { trim: false, normalize: false });
+
+            let pm = null; // aktuelles Placemark
+            let element = null; // aktuelles dwd:Forecast elementName
+            let collect = false;
+            let text = "";
+            let depth = 0;
+            let pmDepth = -1;
+            let scanned = 0;
+            let done = false;
+
+            const finish = () => {
+                if (done) return;
+                done = true;
+                source.unpipe(parser);
+                if (source !== raw) source.destroy();
+                raw.destroy();
+                if (diagFn) {
+                    diagFn(`[DWD-Forecast] Streaming: ${scanned} Placemarks gelesen, ${Object.keys(stations).length}/${wanted.size} Stationen gefunden`);
+                }
+                resolve({ tsStrings, stations, run: buildRunInfo(def) });
+            };
+
+            parser.on("opentag", (tag) => {
+                depth++;
+                const name = localName(tag.name);
+                text = "";
+                collect = false;
+
+                if (name === "Placemark") {
+                    pm = { id: null, name: null, coordinates: null, params: {}, skip: false };
+                    pmDepth = depth;
+                    scanned++;
+                } else if (name === "TimeStep" && !pm) {
+                    collect = true;
+                } else if (!pm && RUN_TAGS.includes(name)) {
+                    collect = true;
+                } else if (!pm && name === "Model") {
+                    const a = tag.attributes;
+                    def.models.push({
+                        name: a["dwd:name"] || a.name || null,
+                        referenceTime: a["dwd:referenceTime"] || a.referenceTime || null
+                    });
+                } else if (pm && !pm.skip) {
+                    if (name === "name" && depth === pmDepth + 1) collect = true;
+                    else if (name === "description" || name === "coordinates") collect = true;
+                    else if (name === "Forecast") {
+                        const attr = tag.attributes["dwd:elementName"] || tag.attributes.elementName;
+                        element = attr ? String(attr).trim() : null;
+                    } else if (name === "value" && element) collect = true;
+                }
+            });
+
+            const onText = (s) => {
+                if (collect) text += s;
+            };
+            parser.on("text", onText);
+            parser.on("cdata", onText);
+
+            parser.on("closetag", (tagName) => {
+                const name = localName(tagName);
+                depth--;
+                if (!collect && name !== "Placemark" && name !== "Forecast") return;
+
+                if (name === "TimeStep" && collect) {
+                    tsStrings.push(text.trim());
+                } else if (!pm && collect && RUN_TAGS.includes(name)) {
+                    def[name] = text.trim();
+                } else if (pm) {
+                    if (name === "name" && collect) {
+                        pm.id = text.trim().toUpperCase();
+                        pm.skip = !wanted.has(pm.id);
+                    } else if (name === "description" && collect) {
+                        pm.name = text.trim() || null;
+                    } else if (name === "coordinates" && collect) {
+                        pm.coordinates = text.trim();
+                    } else if (name === "value" && collect && element) {
+                        const values = text.trim().split(/\s+/).map(safeNumber);
+                        pm.params[element] = { code: element, unit: null, values };
+                    } else if (name === "Forecast") {
+                        element = null;
+                    } else if (name === "Placemark") {
+                        if (pm.id && !pm.skip) {
+                            stations[pm.id] = { name: pm.name, coordinates: pm.coordinates, params: pm.params };
+                        }
+                        pm = null;
+                        if (Object.keys(stations).length === wanted.size) finish();
+                    }
+                }
+                collect = false;
+                text = "";
+            });
+
+            parser.on("error", (e) => {
+                if (done) return;
+                done = true;
+                reject(e);
+            });
+            parser.on("end", finish);
+            source.on("error", (e) => {
+                if (done) return;
+                done = true;
+                reject(e);
+            });
+
+            source.pipe(parser);
+        });
+    }
+
+    // ---- MOSMIX-Stationskatalog ----
+    // DWD-Format (mosmix_stationskatalog.cfg): feste Spalten ID, ICAO, NAME, LAT, LON, ELEV;
+    // LAT/LON in Grad.Minuten (50.52 = 50°52'). Alternativ JSON [{ id, name, lat, lon, elevation }].
+    function parseStationCatalog(text) {
+        const trimmed = String(text || "").trim();
+        if (trimmed.startsWith("[") || trimmed.startsWith("{")) {
+            const data = JSON.parse(trimmed);
+            return asArray(data.stations || data)
+                .map((s) => ({
+                    id: String(s.id || "").toUpperCase().trim(),
+                    name: s.name || null,
+                    lat: safeNumber(s.lat),
+                    lon: safeNumber(s.lon),
+                    elevation: safeNumber(s.elevation != null ? s.elevation : s.elev),
+                }))
+                .filter((s) => s.id && s.lat != null && s.lon != null);
+        }
+
+        const degMin = (x) => {
+            const v = Number(x);
+            const deg = Math.trunc(v);
+            const min = Math.round(Math.abs(v - deg) * 100);
+            return (v < 0 ? -1 : 1) * (Math.abs(deg) + min / 60);
+        };
+        const lineRe = /^(\S+)\s+(\S+)\s+(.+?)\s+(-?\d+\.\d+)\s+(-?\d+\.\d+)\s+(-?\d+)\s*$/;
+        const out = [];
+        for (const line of trimmed.split(/\r?\n/)) {
+            const m = line.match(lineRe);
+            if (!m || /^-+$/.test(m[1]) || m[1] === "ID") continue;
+            out.push({
+                id: m[1].toUpperCase(),
+                icao: /^-+$/.test(m[2]) ? null : m[2],
+                name: m[3].trim(),
+                lat: +degMin(m[4]).toFixed(4),
+                lon: +degMin(m[5]).toFixed(4),
+                elevation: Number(m[6]),
+            });
+        }
+        return out;
+    }
+
+    // prozessweiter Cache je Quelle (Datei oder URL), älteste Einträge fallen bei Überlauf heraus
+    const stationCatalogCache = new Map();
+    const STATION_CATALOG_CACHE_MAX = 8;
+
+    async function loadStationCatalog(source, http) {
+        const src = (source || DEFAULT_STATION_CATALOG).trim();
+        const cached = stationCatalogCache.get(src);
+        if (cached && Date.now() - cached.at < STATION_CATALOG_TTL) return cached.promise;
+
+        const promise = (async () => {
+            let text;
+            if (/^https?:\/\//i.test(src)) {
+                // gemeinsamer Cache mehrerer Nodes: Timeout/Proxy ja, aber kein Abbruch durch einen einzelnen Node
+                const res = await httpGet(src, { responseType: "text", http });
+                text = res.data;
+            } else {
+                text = await fs.promises.readFile(src, "utf8");
+            }
+            const stations = parseStationCatalog(text);
+            if (!stations.length) throw new Error(t("runtime.errorCatalogEmpty"));
+            return stations;
+        })();
+
+        stationCatalogCache.delete(src);
+        stationCatalogCache.set(src, { at: Date.now(), promise });
+        while (stationCatalogCache.size > STATION_CATALOG_CACHE_MAX) {
+            stationCatalogCache.delete(stationCatalogCache.keys().next().value);
+        }
+        promise.catch(() => {
+            if (stationCatalogCache.get(src)?.promise === promise) stationCatalogCache.delete(src);
+        });
+        return promise;
+    }
+
+    function distanceKm(lat1, lon1, lat2, lon2) {
+        const rad = (d) => (d * Math.PI) / 180;
+        const dLat = rad(lat2 - lat1);
+        const dLon = rad(lon2 - lon1);
+        const a = Math.sin(dLat / 2) ** 2 + Math.cos(rad(lat1)) * Math.cos(rad(lat2)) * Math.sin(dLon / 2) ** 2;
+        return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    }
+
+    // nächstgelegene Stationen; elevationPenalty = zusätzliche km je 100 m Höhenunterschied
+    function findNearestStations(stations, loc, opts = {}, limit = 1) {
+        const penalty = Number(opts.elevationPenalty) || 0;
+        const hasElev = loc.elevation != null && Number.isFinite(Number(loc.elevation));
+        return stations
+            .map((s) => {
+                const dist = distanceKm(loc.lat, loc.lon, s.lat, s.lon);
+                const elevDiff = hasElev && s.elevation != null ? s.elevation - Number(loc.elevation) : null;
+                const score = dist + (penalty && elevDiff != null ? (penalty * Math.abs(elevDiff)) / 100 : 0);
+                return { station: s, dist, elevDiff, score };
+            })
+            .sort((a, b) => a.score - b.score)
+            .slice(0, limit)
+            .map(({ station, dist, elevDiff }) => ({
+                id: station.id,
+                name: station.name,
+                lat: station.lat,
+                lon: station.lon,
+                elevation: station.elevation,
+                distanceKm: +dist.toFixed(2),
+                elevationDiff: elevDiff,
+            }));
+    }
+
+    // Schreibweise wie im DWD-Katalog: Großbuchstaben, Umlaute ausgeschrieben, nur A-Z/0-9
+    function foldStationText(s) {
+        return String(s || "")
+            .toUpperCase()
+            .replace(/Ä/g, "AE")
+            .replace(/Ö/g, "OE")
+            .replace(/Ü/g, "UE")
+            .replace(/ß/g, "SS")
+            .replace(/[^A-Z0-9]+/g, " ")
+            .trim();
+    }
+
+    // Tippfehler in Stations-IDs: ein falsches Zeichen oder zwei vertauschte Nachbarzeichen
+    function isIdNearMiss(a, b) {
+        if (a.length !== b.length) return false;
+        const diff = [];
+        for (let i = 0; i < a.length; i++) if (a[i] !== b[i]) diff.push(i);
+        if (diff.length === 1) return true;
+        return diff.length === 2 && diff[1] === diff[0] + 1 && a[diff[0]] === b[diff[1]] && a[diff[1]] === b[diff[0]];
+    }
+
+    // Stationssuche nach ID oder Name; exakte ID vor ID-Präfix vor Namensanfang vor Namensteil vor Tippfehlern
+    function searchStations(stations, query, limit = 20) {
+        const q = foldStationText(query);
+        if (!q) return [];
+        const hits = [];
+        for (const s of stations) {
+            const name = foldStationText(s.name);
+            const score = s.id === q ? 0
+                : s.id.startsWith(q) ? 1
+                    : name.startsWith(q) ? 2
+                        : name.includes(q) ? 3
+                            : isIdNearMiss(s.id, q) ? 4 : -1;
+            if (score >= 0) hits.push({ s, score });
+        }
+        return hits
+            .sort((a, b) => a.score - b.score || a.s.id.localeCompare(b.s.id))
+            .slice(0, limit)
+            .map(({ s }) => ({ id: s.id, name: s.name, lat: s.lat, lon: s.lon, elevation: s.elevation }));
+    }
+
+    // { lat, lon } | { latitude, longitude } | [lat, lon] -> { lat, lon, elevation } oder null
+    function normalizeLocation(x) {
+        if (!x) return null;
+        const src = Array.isArray(x) ? { lat: x[0], lon: x[1], elevation: x[2] } : x;
+        const lat = safeNumber(src.lat != null ? src.lat : src.latitude);
+        const lon = safeNumber(src.lon != null ? src.lon : src.lng != null ? src.lng : src.longitude);
+        if (lat == null || lon == null || Math.abs(lat) > 90 || Math.abs(lon) > 180) return null;
+        const elevation = safeNumber(src.elevation != null ? src.elevation : src.alt != null ? src.alt : src.altitude);
+        return { lat, lon, elevation };
+    }
+
     // ---- Windrichtungs-Konvertierung ----
     // mode: "deg" | "8" | "16"  (Deutsch: O statt E)
     function dirToCardinal(deg, mode) {
@@ -572,6 +1210,315 @@ module.exports = function (RED) {
         return null; // "deg" -> kein Text
     }
 
+    // ---- Signifikantes Wetter (ww, WMO 4677) ----
+    // code -> [Kategorie, Icon-Basis, Tag/Nacht-Variante]
+    const WW_CONDITIONS = {
+        0: ["clear", "clear", true],
+        1: ["clear", "mostly-clear", true],
+        2: ["cloudy", "partly-cloudy", true],
+        3: ["cloudy", "cloudy", false],
+        45: ["fog", "fog", false],
+        49: ["fog", "freezing-fog", false],
+        51: ["drizzle", "drizzle", false],
+        53: ["drizzle", "drizzle", false],
+        55: ["drizzle", "drizzle", false],
+        56: ["drizzle", "freezing-drizzle", false],
+        57: ["drizzle", "freezing-drizzle", false],
+        61: ["rain", "rain", false],
+        63: ["rain", "rain", false],
+        65: ["rain", "heavy-rain", false],
+        66: ["rain", "freezing-rain", false],
+        67: ["rain", "freezing-rain", false],
+        68: ["snow", "sleet", false],
+        69: ["snow", "sleet", false],
+        71: ["snow", "snow", false],
+        73: ["snow", "snow", false],
+        75: ["snow", "heavy-snow", false],
+        77: ["snow", "snow", false],
+        80: ["rain", "showers", true],
+        81: ["rain", "showers", true],
+        82: ["rain", "heavy-showers", false],
+        83: ["snow", "sleet-showers", true],
+        84: ["snow", "sleet-showers", true],
+        85: ["snow", "snow-showers", true],
+        86: ["snow", "snow-showers", true],
+        95: ["thunderstorm", "thunderstorm", false],
+        96: ["thunderstorm", "thunderstorm-hail", false],
+    };
+
+    // grobe Zuordnung für Codes außerhalb der MOSMIX-Auswahl (WMO-Dekaden)
+    function wwCategoryByRange(code) {
+        if (code <= 1) return "clear";
+        if (code < 40) return "cloudy";
+        if (code < 50) return "fog";
+        if (code < 60) return "drizzle";
+        if (code < 70) return code >= 68 ? "snow" : "rain";
+        if (code < 80) return "snow";
+        if (code < 91) return code >= 83 ? "snow" : "rain";
+        return "thunderstorm";
+    }
+
+    // ---- Sonnenstand (NOAA-Näherung, Genauigkeit ca. 1 min) ----
+    const RAD = Math.PI / 180;
+    // Sonnenmittelpunkt 0.833° unter dem Horizont (Refraktion + Sonnenradius)
+    const SUNRISE_ELEVATION = -0.833;
+
+    // Deklination (Grad) und Zeitgleichung (Minuten) zum Zeitpunkt ts
+    function solarParams(ts) {
+        const jc = (ts / 86400000 + 2440587.5 - 2451545) / 36525;
+        const l0 = (280.46646 + jc * (36000.76983 + jc * 0.0003032)) % 360;
+        const m = 357.52911 + jc * (35999.05029 - 0.0001537 * jc);
+        const e = 0.016708634 - jc * (0.000042037 + 0.0000001267 * jc);
+        const c = Math.sin(m * RAD) * (1.914602 - jc * (0.004817 + 0.000014 * jc))
+            + Math.sin(2 * m * RAD) * (0.019993 - 0.000101 * jc)
+            + Math.sin(3 * m * RAD) * 0.000289;
+        const omega = 125.04 - 1934.136 * jc;
+        const lambda = l0 + c - 0.00569 - 0.00478 * Math.sin(omega * RAD);
+        const eps = 23 + (26 + (21.448 - jc * (46.815 + jc * (0.00059 - jc * 0.001813))) / 60) / 60
+            + 0.00256 * Math.cos(omega * RAD);
+        const decl = Math.asin(Math.sin(eps * RAD) * Math.sin(lambda * RAD)) / RAD;
+        const y = Math.tan((eps / 2) * RAD) ** 2;
+        const eqTime = (4 / RAD) * (y * Math.sin(2 * l0 * RAD) - 2 * e * Math.sin(m * RAD)
+            + 4 * e * y * Math.sin(m * RAD) * Math.cos(2 * l0 * RAD)
+            - 0.5 * y * y * Math.sin(4 * l0 * RAD) - 1.25 * e * e * Math.sin(2 * m * RAD));
+        return { decl, eqTime };
+    }
+
+    // Sonnenhöhe (geometrisch, ohne Refraktion) und Azimut (ab Nord im Uhrzeigersinn) in Grad
+    function solarPosition(ts, lat, lon) {
+        const { decl, eqTime } = solarParams(ts);
+        const minutes = (((ts % 86400000) + 86400000) % 86400000) / 60000;
+        const hourAngle = (minutes + eqTime + 4 * lon) / 4 - 180;
+        const cosZ = Math.sin(lat * RAD) * Math.sin(decl * RAD)
+            + Math.cos(lat * RAD) * Math.cos(decl * RAD) * Math.cos(hourAngle * RAD);
+        const azimuth = Math.atan2(
+            Math.sin(hourAngle * RAD),
+            Math.cos(hourAngle * RAD) * Math.sin(lat * RAD) - Math.tan(decl * RAD) * Math.cos(lat * RAD)
+        ) / RAD + 180;
+        return { elevation: 90 - Math.acos(Math.max(-1, Math.min(1, cosZ))) / RAD, azimuth: azimuth % 360 };
+    }
+
+    // Sonnenauf-/-untergang (ms) für ein Kalenderdatum "YYYY-MM-DD";
+    // bei Polartag/-nacht sind beide null und polar = "day" | "night"
+    function sunTimes(date, lat, lon) {
+        const [y, mo, d] = date.split("-").map(Number);
+        const base = Date.UTC(y, mo - 1, d);
+        let { eqTime } = solarParams(base + 12 * 3600000 - 4 * lon * 60000);
+        const solarNoon = base + (720 - 4 * lon - eqTime) * 60000;
+        const at = (ts, sign) => {
+            const p = solarParams(ts);
+            eqTime = p.eqTime;
+            const cosH = (Math.cos((90 - SUNRISE_ELEVATION) * RAD) - Math.sin(lat * RAD) * Math.sin(p.decl * RAD))
+                / (Math.cos(lat * RAD) * Math.cos(p.decl * RAD));
+            if (cosH > 1) return "night";
+            if (cosH < -1) return "day";
+            const ha = Math.acos(cosH) / RAD;
+            return base + (720 - 4 * (lon + sign * ha) - eqTime) * 60000;
+        };
+        // zweiter Durchlauf mit Deklination zum jeweiligen Ereignis
+        let sunrise = at(solarNoon, 1);
+        let sunset = at(solarNoon, -1);
+        if (typeof sunrise === "number") sunrise = at(sunrise, 1);
+        if (typeof sunset === "number") sunset = at(sunset, -1);
+        if (typeof sunrise !== "number" || typeof sunset !== "number") {
+            const polar = typeof sunrise === "string" ? sunrise : sunset;
+            return { sunrise: null, sunset: null, solarNoon, dayLength: polar === "day" ? 24 : 0, polar };
+        }
+        return { sunrise, sunset, solarNoon, dayLength: +((sunset - sunrise) / 3600000).toFixed(2), polar: null };
+    }
+
+    // Koordinaten mit lat/lon oder null
+    function sunCoordinates(coords) {
+        return coords && Number.isFinite(coords.lat) && Number.isFinite(coords.lon) ? coords : null;
+    }
+
+    // Sonnenauf-/-untergang eines lokalen Kalendertags als lokale ISO-Zeit (+ Tageslänge in Stunden)
+    function sunDayFields(date, coords, tz, cache) {
+        if (!coords) return { sunrise: null, sunset: null, dayLength: null };
+        if (!cache.has(date)) {
+            const st = sunTimes(date, coords.lat, coords.lon);
+            const fmt = (ts) => (ts == null ? null : moment.tz(ts, tz || DEFAULT_TZ).format());
+            cache.set(date, { sunrise: fmt(st.sunrise), sunset: fmt(st.sunset), dayLength: st.dayLength });
+        }
+        return cache.get(date);
+    }
+
+    // ---- PV-Ertragsschätzung ----
+    // Peak-Leistung (kWp), Neigung/Azimut (Grad, 180 = Süd), Temperaturkoeffizient (%/K), Systemverluste (%)
+    const PV_DEFAULTS = { peakPower: 1, tilt: 30, azimuth: 180, tempCoeff: -0.4, losses: 14, albedo: 0.2 };
+    const SOLAR_CONSTANT = 1361;
+
+    // Konfiguration prüfen; ohne Peak-Leistung > 0 -> null (PV aus)
+    function normalizePvConfig(o) {
+        if (!o || typeof o !== "object") return null;
+        const pv = { ...PV_DEFAULTS };
+        for (const key of Object.keys(PV_DEFAULTS)) {
+            if (o[key] != null && o[key] !== "" && Number.isFinite(Number(o[key]))) pv[key] = Number(o[key]);
+        }
+        if (!(pv.peakPower > 0)) return null;
+        pv.tilt = Math.max(0, Math.min(90, pv.tilt));
+        pv.azimuth = ((pv.azimuth % 360) + 360) % 360;
+        pv.losses = Math.max(0, Math.min(100, pv.losses));
+        return pv;
+    }
+
+    // Diffusanteil nach Erbs aus dem Klarheitsindex kt
+    function diffuseFraction(kt) {
+        if (kt <= 0.22) return 1 - 0.09 * kt;
+        if (kt <= 0.8) return 0.9511 - 0.1604 * kt + 4.388 * kt ** 2 - 16.638 * kt ** 3 + 12.336 * kt ** 4;
+        return 0.165;
+    }
+
+    // Globalstrahlung (W/m², Mittel über die Periode) -> Modulebene (isotroper Himmel) -> Leistung in kW.
+    // Sonnenstand zur Periodenmitte, Zelltemperatur über NOCT-Näherung
+    function estimatePv(ghi, tempC, mid, coords, pv) {
+        if (ghi == null || !Number.isFinite(ghi)) return null;
+        if (ghi <= 0) return { poa: 0, power: 0 };
+        const sun = solarPosition(mid, coords.lat, coords.lon);
+        const cosZ = Math.sin(Math.max(0, sun.elevation) * RAD);
+        const beta = pv.tilt * RAD;
+
+        let dni = 0;
+        let dhi = ghi;
+        // sehr flache Sonne: alles als Diffusstrahlung behandeln
+        if (sun.elevation > 3) {
+            const doy = moment.utc(mid).dayOfYear();
+            const extra = SOLAR_CONSTANT * (1 + 0.033 * Math.cos((2 * Math.PI * doy) / 365));
+            const kt = Math.min(1, ghi / (extra * cosZ));
+            dhi = ghi * diffuseFraction(kt);
+            dni = (ghi - dhi) / cosZ;
+        }
+        const zenith = (90 - sun.elevation) * RAD;
+        const cosAoi = Math.cos(zenith) * Math.cos(beta)
+            + Math.sin(zenith) * Math.sin(beta) * Math.cos((sun.azimuth - pv.azimuth) * RAD);
+        const poa = Math.max(0, dni * Math.max(0, cosAoi)
+            + dhi * (1 + Math.cos(beta)) / 2
+            + ghi * pv.albedo * (1 - Math.cos(beta)) / 2);
+
+        const cellTemp = (tempC != null ? tempC : 25) + (poa / 800) * 25;
+        const factor = Math.max(0, 1 + (pv.tempCoeff / 100) * (cellTemp - 25)) * (1 - pv.losses / 100);
+        return { poa, power: (pv.peakPower * poa / 1000) * factor };
+    }
+
+    // Tag/Nacht ohne Koordinaten: grob über die lokale Uhrzeit (06–20 Uhr)
+    function isDaytime(ts, tz) {
+        const hour = moment.tz(ts, tz || DEFAULT_TZ).hour();
+        return hour >= 6 && hour < 20;
+    }
+
+    // ---- Zeitzone / lokale Zeit ----
+    // gültiger IANA-Name (kanonische Schreibweise) oder null
+    function resolveTimezone(tz) {
+        const zone = moment.tz.zone(String(tz || "").trim());
+        return zone ? zone.name : null;
+    }
+
+    // lokale Zeitfelder; Offset und DST explizit, damit doppelte bzw. fehlende Stunden
+    // an Umstellungstagen unterscheidbar bleiben
+    function localTimeFields(ts, tz) {
+        const m = moment.tz(ts, tz || DEFAULT_TZ);
+        return {
+            local: m.format(),
+            localDate: m.format("YYYY-MM-DD"),
+            localHour: m.hour(),
+            weekday: t(`weekday.${m.day()}`),
+            utcOffset: m.utcOffset(),
+            dst: m.isDST()
+        };
+    }
+
+    function decodeWeatherCode(code, isDay) {
+        if (code == null || !Number.isFinite(code)) return null;
+        const ww = Math.round(code);
+        const known = WW_CONDITIONS[ww];
+        const category = known ? known[0] : wwCategoryByRange(ww);
+        const iconBase = known ? known[1] : category;
+        const dayNight = known ? known[2] : category === "clear";
+        return {
+            code: ww,
+            text: known ? t(`weather.ww${ww}`) : t("weather.unknown", { code: ww }),
+            category,
+            icon: dayNight ? `${iconBase}-${isDay ? "day" : "night"}` : iconBase,
+        };
+    }
+
+    // ---- Abgeleitete Komfortwerte ----
+    const DERIVED_FIELDS = ["dewPoint", "absoluteHumidity", "windChill", "heatIndex", "apparentTemperature", "comfort"];
+    const MAGNUS_A = 17.625;
+    const MAGNUS_B = 243.04;
+
+    // Array | "dewPoint, heatIndex" | "all" -> bekannte Felder
+    function parseDerivedList(input) {
+        if (input == null || input === "") return [];
+        const list = Array.isArray(input) ? input : String(input).split(/[\s,;]+/);
+        if (list.some((s) => String(s).trim().toLowerCase() === "all")) return [...DERIVED_FIELDS];
+        return DERIVED_FIELDS.filter((f) => list.some((s) => String(s).trim() === f));
+    }
+
+    // Behaglichkeit nach gefühlter Temperatur; schwül ab Taupunkt 18 °C (unterhalb von "heiß")
+    function comfortClass(apparentC, dewPointC) {
+        if (apparentC == null) return null;
+        if (apparentC < -10) return "veryCold";
+        if (apparentC < 0) return "cold";
+        if (apparentC < 10) return "cool";
+        if (apparentC < 18) return "slightlyCool";
+        if (apparentC <= 29 && dewPointC != null && dewPointC >= 18) return "muggy";
+        if (apparentC <= 24) return "comfortable";
+        if (apparentC <= 29) return "warm";
+        if (apparentC <= 35) return "hot";
+        return "veryHot";
+    }
+
+    // alle Werte in °C, g/m³; außerhalb des Gültigkeitsbereichs null
+    function deriveComfort(tC, tdC, rh, windMs) {
+        if (tC == null || !Number.isFinite(tC)) return {};
+        if (tdC == null && rh != null && rh > 0) {
+            const g = Math.log(rh / 100) + (MAGNUS_A * tC) / (MAGNUS_B + tC);
+            tdC = (MAGNUS_B * g) / (MAGNUS_A - g);
+        }
+        if (rh == null && tdC != null) {
+            const gamma = (x) => (MAGNUS_A * x) / (MAGNUS_B + x);
+            rh = Math.min(100, 100 * Math.exp(gamma(tdC) - gamma(tC)));
+        }
+        // Dampfdruck in hPa
+        const vapour = rh != null ? (rh / 100) * 6.112 * Math.exp((MAGNUS_A * tC) / (MAGNUS_B + tC)) : null;
+
+        // Windchill (Environment Canada / DWD): nur bis 10 °C und ab 5 km/h
+        const kmh = windMs != null ? windMs * 3.6 : null;
+        const windChill = kmh != null && tC <= 10 && kmh >= 5
+            ? 13.12 + 0.6215 * tC - 11.37 * kmh ** 0.16 + 0.3965 * tC * kmh ** 0.16
+            : null;
+
+        // Hitzeindex (NOAA, Rothfusz mit Korrekturen): ab 26.7 °C
+        let heatIndex = null;
+        if (rh != null && tC >= 26.7) {
+            const f = tC * 1.8 + 32;
+            let hi = 0.5 * (f + 61 + (f - 68) * 1.2 + rh * 0.094);
+            if (hi >= 80) {
+                hi = -42.379 + 2.04901523 * f + 10.14333127 * rh - 0.22475541 * f * rh
+                    - 0.00683783 * f * f - 0.05481717 * rh * rh + 0.00122874 * f * f * rh
+                    + 0.00085282 * f * rh * rh - 0.00000199 * f * f * rh * rh;
+                if (rh < 13 && f <= 112) hi -= ((13 - rh) / 4) * Math.sqrt((17 - Math.abs(f - 95)) / 17);
+                else if (rh > 85 && f <= 87) hi += ((rh - 85) / 10) * ((87 - f) / 5);
+            }
+            heatIndex = (hi - 32) / 1.8;
+        }
+
+        // gefühlte Temperatur nach Steadman (Australian Bureau of Meteorology)
+        const apparentTemperature = vapour != null
+            ? tC + 0.33 * vapour - 0.7 * (windMs || 0) - 4
+            : null;
+
+        return {
+            dewPoint: tdC,
+            absoluteHumidity: vapour != null ? (216.7 * vapour) / (273.15 + tC) : null,
+            windChill,
+            heatIndex,
+            apparentTemperature,
+            comfort: comfortClass(apparentTemperature, tdC)
+        };
+    }
+
     // ---- Normalisierung auf Records ----
     function normalizeRecords(timeSteps, params, cfg) {
         const getFirst = (codes, i) => {
@@ -583,12 +1530,35 @@ module.exports = function (RED) {
         };
 
         const KtoC = (k) => (k == null ? null : k - 273.15);
-        const A = 17.625, B = 243.04;
+        const A = MAGNUS_A, B = MAGNUS_B;
+        const derived = cfg.derived || [];
+        const tempTarget = QUANTITIES.temperature(cfg);
+        const target = {
+            speed: QUANTITIES.speed(cfg),
+            pressure: QUANTITIES.pressure(cfg),
+            distance: QUANTITIES.distance(cfg),
+            precipitation: QUANTITIES.precipitation(cfg)
+        };
+
+        // zusätzlich gewählte MOSMIX-Elemente (Kernfelder werden oben bereits befüllt)
+        const extras = (cfg.parameters || [])
+            .map((code) => ({ code, ...elementTarget(code, cfg) }))
+            .filter((x) => !CORE_ELEMENT_CODES.includes(x.code));
+
+        // Sonnenstand aus den Stationskoordinaten
+        const coords = sunCoordinates(cfg.coordinates);
+        const sunByDay = new Map();
+        const pv = cfg.pv || null;
+        const stepMs = (cfg.stepMinutes || 60) * 60000;
 
         const out = [];
         for (let i = 0; i < timeSteps.length; i++) {
             const ts = timeSteps[i];
             const iso = new Date(ts).toISOString();
+            const localTime = localTimeFields(ts, cfg.tz);
+            const elevation = coords ? solarPosition(ts, coords.lat, coords.lon).elevation : null;
+            const isDaylight = coords ? elevation > SUNRISE_ELEVATION : null;
+            const { sunrise, sunset } = sunDayFields(localTime.localDate, coords, cfg.tz, sunByDay);
 
             const T_K   = getFirst(["TTT"], i);
             const Td_K  = getFirst(["Td"], i);
@@ -600,6 +1570,7 @@ module.exports = function (RED) {
             let visibilityM = getFirst(["VV"], i);
             let cloudCover  = getFirst(["Neff","neff"], i);
             let precip      = getFirst(["RR1c","RR1o1"], i);
+            const wwCode    = getFirst(["ww","WPc11"], i);
 
             if ((RH == null || !Number.isFinite(RH)) && T_K != null && Td_K != null) {
                 const T_C  = KtoC(T_K);
@@ -612,17 +1583,15 @@ module.exports = function (RED) {
                 }
             }
 
-            let temperature = T_K;
-            let pressure    = pressurePa;
-            let visibility  = visibilityM;
-
-            if (cfg.toC && temperature != null) temperature = +KtoC(temperature).toFixed(2);
-            if (cfg.windToKmh && windSpeed != null) windSpeed = +toKmh(windSpeed).toFixed(2);
-            if (cfg.pressureToHpa && pressure != null) pressure = Math.round(toHpa(pressure));
-            if (cfg.visibilityToKm && visibility != null) visibility = +toKm(visibility).toFixed(1);
+            const convert = (target, v) => (v == null ? null : target.convert(v));
+            const temperature = convert(tempTarget, T_K);
+            const pressure    = convert(target.pressure, pressurePa);
+            const visibility  = convert(target.distance, visibilityM);
+            windSpeed = convert(target.speed, windSpeed);
 
             const rec = {
                 ts, iso,
+                ...localTime,
                 temperature: temperature ?? null,
                 windSpeed: windSpeed ?? null,
                 windDir: windDir ?? null,
@@ -630,8 +1599,13 @@ module.exports = function (RED) {
                 relHumidity: (RH != null && Number.isFinite(RH)) ? Math.round(RH) : null,
                 visibility: visibility ?? null,
                 cloudCover: cloudCover ?? null,
-                precipitation: precip ?? null,
+                precipitation: convert(target.precipitation, precip),
                 precipitationText: null,
+                condition: decodeWeatherCode(wwCode, coords ? isDaylight : isDaytime(ts, cfg.tz)),
+                sunrise,
+                sunset,
+                solarElevation: elevation == null ? null : +elevation.toFixed(1),
+                isDaylight,
             };
 
             // Windrichtung als Text nach Wunsch
@@ -639,26 +1613,67 @@ module.exports = function (RED) {
                 rec.windDirCardinal = dirToCardinal(rec.windDir, cfg.windDirMode);
             }
 
-            if (rec.precipitation != null) {
+            for (const x of extras) {
+                const raw = getFirst([x.code], i);
+                rec[x.name] = raw == null ? null : x.convert(raw);
+            }
+
+            if (precip != null) {
+                // Intensität immer als Stundenrate in mm (auch bei umgerechnetem Raster bzw. Einheit)
+                const rate = cfg.stepMinutes ? precip * 60 / cfg.stepMinutes : precip;
                 const intensityKey =
-                    rec.precipitation < 0.3 ? "Light"
-                        : rec.precipitation < 1.0 ? "Moderate"
+                    rate < 0.3 ? "Light"
+                        : rate < 1.0 ? "Moderate"
                             : "Heavy";
                 const intensity = t("runtime.precipIntensity" + intensityKey);
+                // Text nennt die Stundenrate, auch wenn der Datensatz einen anderen Zeitschritt abdeckt
                 rec.precipitationText = t("runtime.precipitationText", {
                     intensity,
-                    value: rec.precipitation
+                    value: cfg.stepMinutes ? target.precipitation.convert(rate) : rec.precipitation,
+                    unit: target.precipitation.unit
                 });
             }
 
+            // abgeleitete Komfortwerte; Temperaturen in der konfigurierten Einheit
+            if (derived.length) {
+                const values = deriveComfort(
+                    T_K != null ? KtoC(T_K) : null,
+                    Td_K != null ? KtoC(Td_K) : null,
+                    RH != null && Number.isFinite(RH) ? RH : null,
+                    getFirst(["FF"], i)
+                );
+                for (const field of derived) {
+                    const v = values[field];
+                    if (v == null) rec[field] = null;
+                    else if (field === "comfort") rec.comfort = { class: v, text: t(`comfort.${v}`) };
+                    else if (field === "absoluteHumidity") rec.absoluteHumidity = +v.toFixed(1);
+                    else rec[field] = tempTarget.convert(v + 273.15);
+                }
+            }
+
+            // PV-Schätzung aus Rad1h (kJ/m² über den Zeitschritt -> mittlere W/m²)
+            if (pv) {
+                const rad = getFirst(["Rad1h"], i);
+                const est = coords && rad != null
+                    ? estimatePv(rad / 3.6, T_K != null ? KtoC(T_K) : null, ts - stepMs / 2, coords, pv)
+                    : null;
+                rec.pvIrradiance = est ? Math.round(est.poa) : null;
+                rec.pvPower = est ? +est.power.toFixed(3) : null;
+                rec.pvEnergy = est ? +((est.power * stepMs) / 3600000).toFixed(3) : null;
+            }
+
             out.push(rec);
         }
 
         if (cfg.coreOnly) {
             const core = [
-                "ts","iso",
+                "ts","iso","local","localDate","localHour","weekday","utcOffset","dst",
                 "temperature","windSpeed","windDir","pressure",
-                "relHumidity","visibility","precipitation","precipitationText","cloudCover","windDirCardinal"
+                "relHumidity","visibility","precipitation","precipitationText","cloudCover","windDirCardinal","condition",
+                "sunrise","sunset","solarElevation","isDaylight",
+                ...(pv ? ["pvIrradiance","pvPower","pvEnergy"] : []),
+                ...derived,
+                ...extras.map((x) => x.name)
             ];
             return out.map((r) => {
                 const o = {};
@@ -669,226 +1684,1729 @@ module.exports = function (RED) {
         return out;
     }
 
-    // ---- HTTP ----
-    async function httpGetArrayBuffer(url) {
-        const res = await axios.get(url, { responseType: "arraybuffer", validateStatus: () => true });
-        if (res.status !== 200) {
-            const e = new Error(`HTTP ${res.status}`);
-            e.status = res.status;
-            throw e;
-        }
-        return res.data;
-    }
-
-    // ---- Fetch & Parse ----
-    async function fetchAndParseMosmix(url, tz, diagFn) {
-        let lastErr;
-        for (let attempt = 0; attempt < 3; attempt++) {
-            try {
-                const buf = await httpGetArrayBuffer(url);
-                const zip = new AdmZip(buf);
-                const entries = zip.getEntries();
-                if (!entries || !entries.length) throw new Error("KMZ leer");
-
-                const kmlEntry = entries.find((e) => e.entryName.toLowerCase().endsWith(".kml")) || entries[0];
-                const kmlStr = kmlEntry.getData().toString("utf8");
-
-                if (diagFn) {
-                    diagFn("[DWD-Forecast] KMZ KML-Entries:");
-                    entries
-                        .filter((e) => e.entryName.toLowerCase().endsWith(".kml"))
-                        .forEach((e) => diagFn(` - ${e.entryName} (${e.header.size} bytes)`));
-                    diagFn(`[DWD-Forecast] KML picked: ${kmlEntry.entryName} (${kmlEntry.header.size} bytes)`);
-                }
+    // ---- Tagesaggregation ----
+    // Gruppiert nach lokalem Kalendertag (DST-sicher über moment-timezone).
+    // Periodenwerte (Niederschlag, Böen, Sonnenschein der letzten Stunde) zählen
+    // zu dem Tag, in dem ihr Zeitraum liegt – also über ts - 1 ms.
+    function aggregateDaily(timeSteps, params, series, cfg) {
+        const tz = cfg.tz || DEFAULT_TZ;
+        const valuesOf = (code) => (params[code] ? params[code].values : []);
+        const gust = elementTarget("FX1", cfg);
+        const precipTarget = QUANTITIES.precipitation(cfg);
+        const fx1 = valuesOf("FX1");
+        const sund1 = valuesOf("SunD1");
+        const rr1 = valuesOf("RR1c").length ? valuesOf("RR1c") : valuesOf("RR1o1");
+        // Tageswahrscheinlichkeiten: bevorzugt das 24-h-Element, das um lokale Mitternacht endet,
+        // sonst das Maximum der 1-, 6- und 12-h-Fenster, die vollständig im lokalen Tag liegen
+        const POP_DAILY = ["wwPd", "Rd00"];
+        const POP_WINDOWS = { wwP: 1, wwP6: 6, wwPh: 12 };
+        const THUNDER_DAILY = ["wwTd"];
+        const THUNDER_WINDOWS = { wwT: 1, wwT6: 6, wwTh: 12 };
+        const tsIndex = new Map(timeSteps.map((ts, i) => [ts, i]));
+        const windowCodes = (windows) => Object.keys(windows).filter((c) => params[c]);
+        const popCodes = windowCodes(POP_WINDOWS);
+        const thunderCodes = windowCodes(THUNDER_WINDOWS);
+
+        const days = new Map();
+        const dayOf = (ts) => {
+            const key = moment.tz(ts, tz).format("YYYY-MM-DD");
+            if (!days.has(key)) {
+                const start = moment.tz(key, "YYYY-MM-DD", tz);
+                const end = start.clone().add(1, "day");
+                days.set(key, {
+                    key,
+                    start: start.valueOf(),
+                    end: end.valueOf(),
+                    expectedHours: end.diff(start, "hours"),
+                    covered: 0,
+                    steps: [],
+                    precip: [],
+                    gusts: [],
+                    sunshine: [],
+                    pv: [],
+                    pop: [],
+                    thunder: [],
+                });
+            }
+            return days.get(key);
+        };
 
-                // Diagnose-Kennzahlen
-                if (diagFn) {
-                    const count = (re) => ((kmlStr.match(re) || []).length);
-                    diagFn(`[DWD-Forecast] Count <SimpleArrayData>: ${count(/<([a-zA-Z0-9_]+:)?SimpleArrayData\b/gi)}`);
-                    diagFn(`[DWD-Forecast] Count <Parameter id="...">: ${count(/<([a-zA-Z0-9_]+:)?Parameter\b[^>]*\bid="/gi)}`);
-                    diagFn(`[DWD-Forecast] Count <elementName>: ${count(/<([a-zA-Z0-9_]+:)?elementName\b/gi)}`);
-                    diagFn(`[DWD-Forecast] Count <values>: ${count(/<([a-zA-Z0-9_]+:)?values\b/gi)}`);
-                    diagFn(`[DWD-Forecast] Count <value>: ${count(/<([a-zA-Z0-9_]+:)?value\b/gi)}`);
-
-                    const m3 = kmlStr.match(/<([a-zA-Z0-9_]+:)?Forecast\b[\s\S]*?<\/\1?Forecast>/i);
-                    if (m3) diagFn(`[DWD-Forecast] Sample Forecast: ${m3[0].slice(0, 500).replace(/\s+/g,' ')}…`);
-                }
+        for (let i = 0; i < timeSteps.length; i++) {
+            const ts = timeSteps[i];
+            const day = dayOf(ts);
+            day.steps.push(series[i]);
+            // abgedeckte Zeit aus den Zeitstempeln (kleinerer Nachbarabstand, damit Lücken nicht mitzählen)
+            const gaps = [ts - timeSteps[i - 1], timeSteps[i + 1] - ts].filter((g) => g > 0);
+            day.covered += Math.min(gaps.length ? Math.min(...gaps) : 3600000, day.end - ts);
+            const period = dayOf(ts - 1);
+            if (rr1[i] != null) period.precip.push(rr1[i]);
+            if (fx1[i] != null) period.gusts.push(fx1[i]);
+            if (sund1[i] != null) period.sunshine.push(sund1[i]);
+            if (series[i] && series[i].pvEnergy != null) period.pv.push(series[i].pvEnergy);
+            for (const c of popCodes) {
+                const v = params[c].values[i];
+                if (v != null && ts - POP_WINDOWS[c] * 3600000 >= period.start) period.pop.push({ value: v, source: c });
+            }
+            for (const c of thunderCodes) {
+                const v = params[c].values[i];
+                if (v != null && ts - THUNDER_WINDOWS[c] * 3600000 >= period.start) period.thunder.push({ value: v, source: c });
+            }
+        }
 
-                const kml = await parseStringPromise(kmlStr, {
-                    explicitArray: true,
-                    preserveChildrenOrder: false,
-                    mergeAttrs: true,
-                });
+        const nums = (list, field) => list.map((r) => r && r[field]).filter((v) => v != null && Number.isFinite(v));
+        const sum = (arr) => arr.reduce((a, b) => a + b, 0);
+        const mean = (arr) => (arr.length ? sum(arr) / arr.length : null);
+        const max = (arr) => (arr.length ? Math.max(...arr) : null);
+        const min = (arr) => (arr.length ? Math.min(...arr) : null);
+        const fix = (v, digits) => (v == null ? null : +v.toFixed(digits));
+        const coords = sunCoordinates(cfg.coordinates);
+        const sunByDay = new Map();
+
+        // -> { value, source } mit dem Code des verwendeten Elements (null ohne Daten)
+        const dayProbability = (d, dailyCodes, windows) => {
+            const end = tsIndex.get(d.end);
+            for (const c of dailyCodes) {
+                const v = end != null && params[c] ? params[c].values[end] : null;
+                if (v != null) return { value: v, source: c };
+            }
+            return windows.reduce((best, w) => (!best || w.value > best.value ? w : best), null) || { value: null, source: null };
+        };
 
-                const kmlRoot = getKmlRoot(kml);
-                const doc = findFirstDocumentNode(kmlRoot) || findFirstDocumentNode(kml);
+        const out = [];
+        for (const d of days.values()) {
+            if (!d.steps.length) continue;
+
+            const temps = nums(d.steps, "temperature");
+
+            // vorherrschende Windrichtung: geschwindigkeitsgewichtetes Vektormittel
+            let u = 0, v = 0;
+            for (const r of d.steps) {
+                if (!r || r.windDir == null) continue;
+                const w = r.windSpeed != null ? r.windSpeed : 1;
+                u += w * Math.sin((r.windDir * Math.PI) / 180);
+                v += w * Math.cos((r.windDir * Math.PI) / 180);
+            }
+            const windDirDominant = u || v ? Math.round(((Math.atan2(u, v) * 180) / Math.PI + 360) % 360) : null;
 
-                if (diagFn) {
-                    const topKey = Object.keys(kml)[0] || "kml:kml";
-                    diagFn(`[DWD-Forecast] KML Top-Level Keys: ${topKey}`);
-                    diagFn(`[DWD-Forecast] Document keys: ${doc ? Object.keys(doc).join(", ") : "(none)"}`);
-                }
-                if (!doc) throw new Error("KML Document fehlt");
+            // vorherrschendes Wetter: häufigster Code, bei Gleichstand der signifikantere (höhere) Code
+            const counts = new Map();
+            for (const r of d.steps) {
+                if (r && r.condition) counts.set(r.condition.code, (counts.get(r.condition.code) || 0) + 1);
+            }
+            let dominantCode = null;
+            for (const [code, n] of counts) {
+                const best = counts.get(dominantCode) || 0;
+                if (n > best || (n === best && code > dominantCode)) dominantCode = code;
+            }
 
-                // optional: Placemark-Struktur debuggen
-                if (diagFn && doc) {
-                    const pms = []
-                        .concat(asArray(doc.Placemark))
-                        .concat(asArray(doc["kml:Placemark"]))
-                        .filter(Boolean);
+            const pop = dayProbability(d, POP_DAILY, d.pop);
+            const thunder = dayProbability(d, THUNDER_DAILY, d.thunder);
+
+            const day = {
+                date: d.key,
+                start: d.start,
+                end: d.end,
+                hours: fix(d.covered / 3600000, 2),
+                expectedHours: d.expectedHours,
+                partial: d.covered < d.expectedHours * 3600000,
+                ...sunDayFields(d.key, coords, tz, sunByDay),
+                temperatureMin: fix(min(temps), 2),
+                temperatureMax: fix(max(temps), 2),
+                temperatureMean: fix(mean(temps), 2),
+                precipitationSum: d.precip.length ? precipTarget.convert(sum(d.precip)) : null,
+                precipProbability: pop.value,
+                precipProbabilitySource: pop.source,
+                thunderProbability: thunder.value,
+                thunderProbabilitySource: thunder.source,
+                windSpeedMax: fix(max(nums(d.steps, "windSpeed")), 2),
+                windGustMax: d.gusts.length ? gust.convert(max(d.gusts)) : null,
+                windDirDominant,
+                sunshineHours: d.sunshine.length ? fix(sum(d.sunshine) / 3600, 2) : null,
+                cloudCoverMean: fix(mean(nums(d.steps, "cloudCover")), 1),
+                condition: decodeWeatherCode(dominantCode, true),
+            };
+            if (cfg.windDirMode && cfg.windDirMode !== "deg") {
+                day.windDirDominantCardinal = dirToCardinal(windDirDominant, cfg.windDirMode);
+            }
+            if (cfg.pv) day.pvEnergy = d.pv.length ? fix(sum(d.pv), 2) : null;
+            out.push(day);
+        }
+        return out;
+    }
 
-                    if (pms.length) {
-                        diagFn(`[DWD-Forecast] Placemark keys: ${Object.keys(pms[0]).join(", ")}`);
-                    }
-                }
+    const AGGREGATIONS = ["hourly", "daily", "both"];
 
-                // TimeSteps
-                let tsStrings = collectTimeStepStrings(doc, []);
-                if (!tsStrings.length) {
-                    const w = collectTrackWhenStrings(doc, []);
-                    if (diagFn) diagFn(`[DWD-Forecast] Fallback when: ${w.length} Treffer`);
-                    tsStrings = w;
-                }
-                if (!tsStrings.length) {
-                    const whenRe = /<\w*:TimeStep>([^<]+)<\/\w*:TimeStep>/g;
-                    const tmp = [];
-                    let m;
-                    while ((m = whenRe.exec(kmlStr))) tmp.push(m[1]);
-                    if (diagFn) diagFn(`[DWD-Forecast] Regex-Fallback TimeSteps: ${tmp.length} Treffer`);
-                    tsStrings = tmp;
-                }
+    // hourly | daily | both -> Ausgabe-Nutzlast (+ msg.daily bei "both")
+    function buildAggregatedOutput(series, daily, aggregation) {
+        if (aggregation === "daily") return { payload: daily };
+        if (aggregation === "both") return { payload: series, daily };
+        return { payload: series };
+    }
 
-                const timeSteps = tsStrings
-                    .map((s) => moment.tz(String(s), tz).valueOf())
-                    .filter((v) => Number.isFinite(v));
+    // ---- Resampling ----
+    // Summen über die vorangehende Stunde werden anteilig verteilt bzw. aufsummiert,
+    // Periodenmittel (Strahlung) gewichtet gemittelt, Maxima/Wettercodes als Maximum übernommen
+    const RESAMPLE_SUM = ["RR1c", "RR1o1", "RR1", "RRL1c", "RRS1c", "SunD1", "DRR1"];
+    const RESAMPLE_MEAN = ["Rad1h", "RRad1"];
+    const RESAMPLE_MAX = ["FX1"];
+    // Summen über mehrere Stunden (Periode in h): als mittlere Rate über das Zielintervall umgerechnet,
+    // damit sich stündlich gemeldete, überlappende Perioden nicht aufaddieren
+    const RESAMPLE_PERIOD_SUM = { RR3c: 3, RR6c: 6, RRhc: 12, RRdc: 24, RRS3c: 3, SunD3: 3 };
+
+    function resampleMethod(code) {
+        if (RESAMPLE_SUM.includes(code)) return "sum";
+        if (RESAMPLE_PERIOD_SUM[code]) return "periodSum";
+        if (RESAMPLE_MEAN.includes(code)) return "mean";
+        if (RESAMPLE_MAX.includes(code)) return "max";
+        if (code === "DD") return "circular";
+        const el = MOSMIX_ELEMENTS[code];
+        if (el && el.quantity === "code") return "max";
+        return "linear";
+    }
 
-                if (diagFn) {
-                    diagFn(`[DWD-Forecast] TimeSteps gesamt: ${tsStrings.length}`);
-                    diagFn(`[DWD-Forecast] TimeSteps nach Parse: ${timeSteps.length}`);
-                    if (tsStrings.length) {
-                        diagFn(`[DWD-Forecast] TimeStep-Beispiele (roh): ${tsStrings.slice(0, 5).join(", ")}`);
-                    }
-                }
-                if (!timeSteps.length) throw new Error("ForecastTimeSteps leer");
+    // "15m" | "3h" | "90s" | 30 (Minuten) -> Millisekunden; leer/0 -> null
+    function parseInterval(x) {
+        if (x == null || x === "" || x === false) return null;
+        const m = String(x).trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(s|m|min|h)?$/);
+        if (!m) return null;
+        const factor = { s: 1000, m: 60000, min: 60000, h: 3600000 }[m[2] || "min"];
+        const ms = Math.round(Number(m[1]) * factor);
+        return ms > 0 ? ms : null;
+    }
 
-                // Params A–D sammeln
-                const paramsA = extractParamsFromSchemaData(doc, diagFn);
-                let params = { ...paramsA };
+    // Wert eines Codes zum Zielzeitpunkt t (Zielperiode (t - step, t])
+    function resampleValue(method, t, step, timeSteps, periodStart, values, hint) {
+        if (method === "linear" || method === "circular") {
+            let i = hint.i;
+            while (i < timeSteps.length - 1 && timeSteps[i + 1] <= t) i++;
+            hint.i = i;
+            if (timeSteps[i] === t) return values[i] ?? null;
+            const a = values[i];
+            const b = values[i + 1];
+            if (a == null || b == null || i + 1 >= timeSteps.length) return null;
+            const f = (t - timeSteps[i]) / (timeSteps[i + 1] - timeSteps[i]);
+            if (method === "linear") return Number((a + (b - a) * f).toFixed(2));
+            // kürzester Bogen, damit 350° -> 10° über 0° läuft
+            const d = ((b - a + 540) % 360) - 180;
+            return Number((((a + d * f) % 360 + 360) % 360).toFixed(1));
+        }
 
-                if (!Object.keys(params).length) {
-                    const paramsB = extractParamsFromForecast(doc, diagFn);
-                    params = { ...params, ...paramsB };
-                }
+        const from = t - step;
+        let sum = 0;
+        let weight = 0;
+        let max = null;
+        for (let i = hint.p; i < timeSteps.length && periodStart[i] < t; i++) {
+            if (timeSteps[i] <= from) {
+                hint.p = i + 1;
+                continue;
+            }
+            const v = values[i];
+            if (v == null) continue;
+            const overlap = Math.min(timeSteps[i], t) - Math.max(periodStart[i], from);
+            if (overlap <= 0) continue;
+            const share = overlap / (timeSteps[i] - periodStart[i]);
+            sum += method === "sum" ? v * share : method === "periodSum" ? (v / (timeSteps[i] - periodStart[i])) * overlap : v * overlap;
+            weight += overlap;
+            if (max == null || v > max) max = v;
+        }
+        if (!weight) return null;
+        if (method === "sum") return Number(sum.toFixed(3));
+        if (method === "periodSum") return Number(((sum / weight) * step).toFixed(3));
+        if (method === "mean") return Number((sum / weight).toFixed(2));
+        return max;
+    }
 
-                if (!Object.keys(params).length) {
-                    const paramsB2 = extractParamsFromDwdForecast(doc, diagFn);
-                    params = { ...params, ...paramsB2 };
-                }
+    // Zeitreihe auf ein festes Raster (UTC-ausgerichtet) umrechnen
+    function resampleSeries(timeSteps, params, step) {
+        const n = timeSteps.length;
+        if (!step || n < 2) return null;
+        const periodStart = timeSteps.map((ts, i) => ts - (i > 0 ? ts - timeSteps[i - 1] : timeSteps[1] - timeSteps[0]));
+        const targets = [];
+        for (let t = Math.ceil(timeSteps[0] / step) * step; t <= timeSteps[n - 1]; t += step) targets.push(t);
+
+        const out = {};
+        for (const [code, p] of Object.entries(params)) {
+            const method = resampleMethod(code);
+            const hint = { i: 0, p: 0 };
+            const period = RESAMPLE_PERIOD_SUM[code];
+            const starts = period ? timeSteps.map((ts) => ts - period * 3600 * 1000) : periodStart;
+            out[code] = {
+                ...p,
+                values: targets.map((t) => resampleValue(method, t, step, timeSteps, starts, p.values, hint))
+            };
+        }
+        return { timeSteps: targets, params: out };
+    }
 
-                if (!Object.keys(params).length) {
-                    const paramsC = extractParamsByRegex(kmlStr, diagFn);
-                    params = { ...params, ...paramsC };
-                }
+    // ---- Punktabfrage (msg.at) ----
+    // Zeitstempel (ms oder s), Date, ISO-String, "now" oder relativ ("+3h", "-30m", "+1d") -> ms; ungültig -> NaN
+    function parseAt(x, now) {
+        if (x instanceof Date) return x.getTime();
+        if (typeof x === "number") return Number.isFinite(x) ? (Math.abs(x) < 1e11 ? x * 1000 : x) : NaN;
+        const s = String(x == null ? "" : x).trim();
+        if (/^now$/i.test(s)) return now;
+        const rel = s.match(/^([+-])\s*(\d+(?:\.\d+)?)\s*(s|m|min|h|d)$/i);
+        if (rel) {
+            const factor = { s: 1000, m: 60000, min: 60000, h: 3600000, d: 86400000 }[rel[3].toLowerCase()];
+            return now + (rel[1] === "-" ? -1 : 1) * Math.round(Number(rel[2]) * factor);
+        }
+        if (/^\d+$/.test(s)) return parseAt(Number(s), now);
+        return s ? Date.parse(s) : NaN;
+    }
 
-                if (!Object.keys(params).length) {
-                    const paramsD = extractParamsByGenericWalk(doc, diagFn);
-                    params = { ...params, ...paramsD };
-                }
+    // Werte aller Codes zum Zeitpunkt t: stetige Werte interpoliert, Summen/Maxima aus dem
+    // Zeitschritt, dessen Periode t enthält; außerhalb der Vorhersage -> null
+    function pointParams(timeSteps, params, t) {
+        const n = timeSteps.length;
+        if (!n || t < timeSteps[0] || t > timeSteps[n - 1]) return null;
+        let i = 0;
+        while (i < n - 1 && timeSteps[i + 1] <= t) i++;
+        const exact = timeSteps[i] === t;
+        const source = exact ? [i] : [i, i + 1];
+        const out = {};
+        for (const [code, p] of Object.entries(params)) {
+            const method = resampleMethod(code);
+            const value = method === "linear" || method === "circular"
+                ? resampleValue(method, t, 0, timeSteps, null, p.values, { i, p: 0 })
+                : p.values[source[source.length - 1]] ?? null;
+            out[code] = { ...p, values: [value] };
+        }
+        return { params: out, source, exact };
+    }
 
-                if (diagFn) diagFn(`[DWD-Forecast] gefundene Parameter (gesamt): ${Object.keys(params).length}`);
-                if (diagFn && Object.keys(params).length) {
-                    const sampleCodes = Object.keys(params).slice(0, 20).join(", ");
-                    diagFn(`[DWD-Forecast] Param-Codes (Auszug): ${sampleCodes}`);
-                }
+    // ---- Änderungen zwischen zwei Modellläufen ----
+    // Mindeständerung je Feld (in Ausgabe-Einheiten); nur diese Felder werden verglichen
+    const DEFAULT_CHANGE_THRESHOLDS = {
+        temperature: 2,
+        temperatureMin: 2,
+        temperatureMax: 2,
+        temperatureMean: 2,
+        precipitation: 1,
+        precipitationSum: 2,
+        windSpeed: 10,
+        windSpeedMax: 10,
+        windGust: 15,
+        windGustMax: 15,
+        cloudCover: 30,
+        cloudCoverMean: 30,
+        sunshineHours: 2
+    };
 
-                // Länge angleichen
-                for (const p of Object.values(params)) {
-                    if (p.values.length > timeSteps.length) p.values = p.values.slice(0, timeSteps.length);
-                    if (p.values.length < timeSteps.length)
-                        p.values = p.values.concat(Array(timeSteps.length - p.values.length).fill(null));
-                }
+    // JSON-String oder Objekt -> Schwellwerte (über den Standardwerten); ungültig -> Error
+    function parseChangeThresholds(input) {
+        if (input == null || input === "") return { ...DEFAULT_CHANGE_THRESHOLDS };
+        const obj = typeof input === "string" ? JSON.parse(input) : input;
+        if (!obj || typeof obj !== "object" || Array.isArray(obj)) throw new Error("object expected");
+        const out = { ...DEFAULT_CHANGE_THRESHOLDS };
+        for (const [field, v] of Object.entries(obj)) {
+            if (v === null || v === false) delete out[field];
+            else if (Number.isFinite(Number(v))) out[field] = Number(v);
+        }
+        return out;
+    }
 
-                const stationName = tryGetStationName(doc);
-                return { timeSteps, params, stationName, kmlStr };
-            } catch (e) {
-                lastErr = e;
-                if (diagFn) diagFn(`[DWD-Forecast] Versuch ${attempt + 1} fehlgeschlagen: ${e.message}`);
-                if (attempt < 2) await new Promise((r) => setTimeout(r, 1000));
+    // Datensätze gleichen Schlüssels (ts bzw. date) vergleichen
+    function diffRecords(prev, curr, key, thresholds) {
+        const byKey = new Map((prev || []).map((r) => [r[key], r]));
+        const out = [];
+        for (const rec of curr || []) {
+            const old = byKey.get(rec[key]);
+            if (!old) continue;
+            const fields = {};
+            for (const [field, min] of Object.entries(thresholds)) {
+                const a = old[field];
+                const b = rec[field];
+                if (typeof a !== "number" || typeof b !== "number") continue;
+                const delta = Number((b - a).toFixed(2));
+                if (delta !== 0 && Math.abs(delta) >= min) fields[field] = { previous: a, current: b, delta };
+            }
+            if (Object.keys(fields).length) {
+                out.push({ [key]: rec[key], ...(rec.iso ? { iso: rec.iso } : {}), fields });
             }
         }
-        throw lastErr || new Error("Unbekannter Fehler");
+        return out;
     }
 
-    function DwdWeatherForecastNode(config) {
-        RED.nodes.createNode(this, config);
-        const node = this;
+    // Zeitpunkte, für die jetzt erstmals Niederschlag vorhergesagt wird
+    function findNewPrecipitation(prev, curr) {
+        const byTs = new Map((prev || []).map((r) => [r.ts, r]));
+        const out = [];
+        for (const rec of curr || []) {
+            const old = byTs.get(rec.ts);
+            if (!old || !(rec.precipitation > 0) || old.precipitation > 0) continue;
+            out.push({ ts: rec.ts, iso: rec.iso, precipitation: rec.precipitation, previous: old.precipitation ?? null });
+        }
+        return out;
+    }
 
-        // ---- Konfiguration aus UI ----
-        node.station = (config.station || "").toUpperCase().trim();
-        node.sourceUrl = (config.sourceUrl || DEFAULT_URL_TEMPLATE).trim();
+    // { series, daily } des letzten und aktuellen Laufs -> Änderungsbericht (null = nichts Relevantes)
+    function buildChangeReport(prev, curr, thresholds) {
+        const hourly = diffRecords(prev.series, curr.series, "ts", thresholds);
+        const daily = prev.daily && curr.daily ? diffRecords(prev.daily, curr.daily, "date", thresholds) : [];
+        const newPrecipitation = findNewPrecipitation(prev.series, curr.series);
+        if (!hourly.length && !daily.length && !newPrecipitation.length) return null;
+        return { hourly, daily, newPrecipitation };
+    }
 
-        node.fetchOnDeploy = !!config.fetchOnDeploy;
-        node.autoRefresh = Number(config.autoRefresh || 0);
-        node.hoursAhead = Number(
-            (config.hoursAhead != null ? config.hoursAhead : config.maxHours) || 0
-        );
-        node.coreOnly = !!config.coreOnly;
-        node.toC = config.toC !== false;
-        node.windToKmh = config.windToKmh !== false;
-        node.pressureToHpa = config.pressureToHpa !== false;
-        node.visibilityToKm = config.visibilityToKm !== false;
-        node.windDirMode = (config.windDirMode || "deg"); // NEW
-        node.diag = !!config.diag;
-        node.staleOnError = !!config.staleOnError;
-        node.onlyFuture = !!config.onlyFuture;
+    // ---- Warnregeln ----
+    const ALERT_OPS = {
+        "<": (a, b) => a < b,
+        "<=": (a, b) => a <= b,
+        ">": (a, b) => a > b,
+        ">=": (a, b) => a >= b,
+        "==": (a, b) => a === b,
+        "!=": (a, b) => a !== b
+    };
 
-        // ---- Status-Helfer ----
-        let refreshTimer = null;
-        const setStatus = (text, shape = "dot", color = "blue") =>
-            node.status({ fill: color, shape, text });
+    // Vorgaben; Schwellwerte aus SI in die konfigurierten Ausgabe-Einheiten umgerechnet
+    const ALERT_PRESETS = {
+        frost: (cfg) => ({ field: "temperature", op: "<", value: QUANTITIES.temperature(cfg).convert(273.15), within: 12 }),
+        storm: (cfg) => ({ field: "windGust", op: ">", value: QUANTITIES.speed(cfg).convert(60 / 3.6) }),
+        heavyRain: (cfg) => ({ field: "precipitation", op: ">", value: QUANTITIES.precipitation(cfg).convert(10), sum: 6 }),
+        heat: (cfg) => ({ field: "temperature", op: ">", value: QUANTITIES.temperature(cfg).convert(303.15), duration: 3 })
+    };
 
-        // ---- Context für Stale-Daten ----
-        const ctx = node.context();
-        const CTX_KEY = "lastGood";
+    // Kernfelder im Record -> MOSMIX-Code (für die Einheit)
+    const CORE_FIELD_CODES = {
+        temperature: "TTT",
+        windSpeed: "FF",
+        windDir: "DD",
+        pressure: "PPPP",
+        visibility: "VV",
+        cloudCover: "Neff",
+        precipitation: "RR1c"
+    };
 
-        function saveLastGood(series, meta, station) {
-            ctx.set(CTX_KEY, {
-                at: Date.now(),
-                station,
-                series,
-                meta
-            });
-        }
+    // Tageswerte -> MOSMIX-Code der Ausgangsgröße
+    const DAILY_FIELD_CODES = {
+        temperatureMean: "TTT",
+        precipitationSum: "RR1c",
+        windSpeedMax: "FF",
+        windGustMax: "FX1",
+        windDirDominant: "DD",
+        cloudCoverMean: "Neff"
+    };
 
-        function sendStaleIfAvailable() {
-            const last = ctx.get(CTX_KEY);
-            if (!last) return false;
+    // Feldname -> Katalog-Code eines zusätzlichen Elements (oder null)
+    function elementCodeForField(field) {
+        if (CORE_FIELD_CODES[field]) return null;
+        const el = Object.values(MOSMIX_ELEMENTS).find((e) => e.name === field);
+        return el ? el.code : null;
+    }
 
-            const count = last.meta?.count || last.series?.length || 0;
-            const out = {
-                payload: last.series,
-                station: { id: last.station, name: last.meta?.stationName || null },
-                _meta: { ...(last.meta || {}), stale: true }
-            };
+    function fieldUnit(field, cfg) {
+        if (field === "relHumidity") return "%";
+        if (field === "solarElevation") return "°";
+        if (field === "dayLength") return "h";
+        if (field === "absoluteHumidity") return "g/m³";
+        if (["windChill", "heatIndex", "apparentTemperature"].includes(field)) return QUANTITIES.temperature(cfg).unit;
+        if (field === "pvIrradiance") return "W/m²";
+        if (field === "pvPower") return "kW";
+        if (field === "pvEnergy") return "kWh";
+        if (field === "sunshineHours") return "h";
+        const code = CORE_FIELD_CODES[field] || DAILY_FIELD_CODES[field] || elementCodeForField(field);
+        return code ? elementTarget(code, cfg).unit : null;
+    }
+
+    // alle Felder der Datensätze (inkl. Tageswerte) -> Einheit; Felder ohne Einheit entfallen
+    function unitsMeta(records, cfg) {
+        const fields = {};
+        for (const r of records) {
+            for (const k of Object.keys(r || {})) {
+                if (k in fields) continue;
+                fields[k] = fieldUnit(k, cfg);
+            }
+        }
+        for (const k of Object.keys(fields)) if (fields[k] == null) delete fields[k];
+        return { ...(cfg.units || resolveUnits()), fields };
+    }
+
+    // Regel prüfen und vereinheitlichen; { preset } übernimmt die Vorgabe als Basis
+    function normalizeAlertRule(rule, cfg) {
+        if (!rule || typeof rule !== "object") throw new Error(t("runtime.errorAlertRule", { rule: String(rule) }));
+        const base = rule.preset && ALERT_PRESETS[rule.preset] ? ALERT_PRESETS[rule.preset](cfg) : {};
+        const r = { ...base, ...rule };
+        const id = String(r.id || r.preset || "").trim();
+        const value = Number(r.value);
+        if (!id || !r.field || !ALERT_OPS[r.op] || !Number.isFinite(value)) {
+            throw new Error(t("runtime.errorAlertRule", { rule: JSON.stringify(rule) }));
+        }
+        const hours = (x) => (Number(x) > 0 ? Number(x) : null);
+        return {
+            id,
+            preset: rule.preset || null,
+            field: String(r.field),
+            op: r.op,
+            value,
+            within: hours(r.within),
+            duration: hours(r.duration),
+            sum: hours(r.sum),
+            severity: r.severity || "warning",
+            message: typeof r.message === "string" ? r.message : null
+        };
+    }
+
+    // Vorgaben-IDs + eigene Regeln (Array oder JSON-String) -> Regelliste
+    function resolveAlertRules(presets, custom, cfg) {
+        const list = (presets || [])
+            .filter((id) => ALERT_PRESETS[id])
+            .map((id) => ({ id, preset: id }));
+        const extra = typeof custom === "string" ? (custom.trim() ? JSON.parse(custom) : []) : custom || [];
+        if (!Array.isArray(extra)) throw new Error(t("runtime.errorAlertRule", { rule: JSON.stringify(extra) }));
+        // eigene Regel mit gleicher ID ersetzt die Vorgabe
+        const ids = new Set(extra.map((r) => r && (r.id || r.preset)));
+        return list
+            .filter((r) => !ids.has(r.id))
+            .concat(extra)
+            .map((r) => normalizeAlertRule(r, cfg));
+    }
+
+    // Regel gegen die (stündlichen) Datensätze ab der aktuellen Stunde auswerten
+    function evaluateAlertRule(rule, series, now) {
+        const H = 3600 * 1000;
+        const from = now - (now % H);
+        const to = rule.within ? now + rule.within * H : Infinity;
+        const f = rule.field;
+        const test = (v) => ALERT_OPS[rule.op](v, rule.value);
+        const recs = (series || []).filter((r) => r.ts >= from && r.ts <= to && typeof r[f] === "number");
+
+        const hits = []; // { ts, lastTs, value }
+        if (rule.sum) {
+            // gleitende Summe über `sum` Stunden; Zeitraum auf Stunden mit Beitrag gekürzt
+            for (let i = 0; i < recs.length; i++) {
+                let s = 0;
+                let first = null;
+                let last = null;
+                for (let j = i; j < recs.length && recs[j].ts < recs[i].ts + rule.sum * H; j++) {
+                    s += recs[j][f];
+                    if (recs[j][f] !== 0) {
+                        if (first == null) first = recs[j].ts;
+                        last = recs[j].ts;
+                    }
+                }
+                s = Number(s.toFixed(2));
+                if (test(s)) hits.push({ ts: first ?? recs[i].ts, lastTs: last ?? recs[i].ts, value: s });
+            }
+        } else if (rule.duration) {
+            // zusammenhängende Treffer mit Mindestdauer
+            let run = [];
+            const flush = () => {
+                if (run.length >= rule.duration) {
+                    for (const r of run) hits.push({ ts: r.ts, lastTs: r.ts, value: r[f] });
+                }
+                run = [];
+            };
+            for (const r of recs) {
+                const ok = test(r[f]);
+                if (ok && (!run.length || r.ts - run[run.length - 1].ts <= H)) {
+                    run.push(r);
+                } else {
+                    flush();
+                    if (ok) run.push(r);
+                }
+            }
+            flush();
+        } else {
+            for (const r of recs) if (test(r[f])) hits.push({ ts: r.ts, lastTs: r.ts, value: r[f] });
+        }
+        if (!hits.length) return null;
+
+        const lowIsPeak = rule.op === "<" || rule.op === "<=";
+        let peak = hits[0];
+        for (const h of hits) if (lowIsPeak ? h.value < peak.value : h.value > peak.value) peak = h;
+        return {
+            firstTs: hits[0].ts,
+            lastTs: Math.max(...hits.map((h) => h.lastTs)),
+            peak: peak.value,
+            peakTs: peak.ts,
+            count: hits.length
+        };
+    }
+
+    // Treffer -> Warnungsobjekt mit lokalisierter Meldung
+    function buildAlert(rule, match, station, cfg) {
+        const unit = fieldUnit(rule.field, cfg) || "";
+        const fmt = (ts) => moment.tz(ts, cfg.tz).format(t("alerts.timeFormat"));
+        const vars = {
+            id: rule.id,
+            station,
+            field: rule.field,
+            op: rule.op,
+            value: rule.value,
+            peak: match.peak,
+            unit,
+            first: fmt(match.firstTs),
+            last: fmt(match.lastTs),
+            hours: rule.sum || rule.duration || ""
+        };
+        const message = rule.message
+            ? rule.message.replace(/{(\w+)}/g, (m, k) => (vars[k] != null ? String(vars[k]) : m))
+            : t(rule.preset ? `alerts.${rule.preset}` : "alerts.generic", vars);
+        return {
+            ruleId: rule.id,
+            station,
+            severity: rule.severity,
+            field: rule.field,
+            op: rule.op,
+            threshold: rule.value,
+            unit: unit || null,
+            first: new Date(match.firstTs).toISOString(),
+            firstTs: match.firstTs,
+            last: new Date(match.lastTs).toISOString(),
+            lastTs: match.lastTs,
+            peak: match.peak,
+            peakAt: new Date(match.peakTs).toISOString(),
+            count: match.count,
+            message
+        };
+    }
+
+    // ---- Ausgabeformate ----
+    const OUTPUT_FORMATS = ["json", "csv", "influx", "geojson"];
+    // Zeitfelder sind in Line-Protocol bereits im Zeitstempel enthalten
+    const INFLUX_SKIP = ["ts", "iso", "local", "localDate", "localHour", "weekday", "utcOffset", "dst", "date", "start", "end"];
+
+    // verschachtelte Felder (condition) flach machen; Spalten für alle Datensätze gleich
+    function flattenRecords(records) {
+        const sub = new Map();
+        for (const r of records) {
+            for (const [k, v] of Object.entries(r || {})) {
+                if (!v || typeof v !== "object" || Array.isArray(v)) continue;
+                if (!sub.has(k)) sub.set(k, new Set());
+                for (const k2 of Object.keys(v)) sub.get(k).add(k2);
+            }
+        }
+        const cap = (s) => s.charAt(0).toUpperCase() + s.slice(1);
+        return records.map((r) => {
+            const o = {};
+            for (const [k, v] of Object.entries(r || {})) {
+                if (sub.has(k)) for (const k2 of sub.get(k)) o[k + cap(k2)] = v ? v[k2] ?? null : null;
+                else o[k] = v;
+            }
+            return o;
+        });
+    }
+
+    // CSV mit lokalisierten Kopfzeilen (+ Einheit)
+    function toCsv(records, cfg, delimiter) {
+        const sep = delimiter || ",";
+        const rows = flattenRecords(records);
+        const cols = [];
+        for (const r of rows) for (const k of Object.keys(r)) if (!cols.includes(k)) cols.push(k);
+
+        const esc = (v) => {
+            if (v == null) return "";
+            const s = String(v);
+            return s.includes(sep) || /["\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+        };
+        const header = cols.map((c) => {
+            const key = `csv.${c}`;
+            const label = t(key);
+            const unit = fieldUnit(c, cfg);
+            const name = label && !label.endsWith(key) ? label : c;
+            return esc(unit ? `${name} [${unit}]` : name);
+        });
+        return [header.join(sep), ...rows.map((r) => cols.map((c) => esc(r[c])).join(sep))].join("\n");
+    }
+
+    // InfluxDB Line Protocol: Station als Tag, numerische Felder, Zeitstempel in ns
+    function toInfluxLines(records, measurement, tags) {
+        const escKey = (s) => String(s).replace(/[,= ]/g, (c) => "\\" + c);
+        const escMeasurement = (s) => String(s).replace(/[, ]/g, (c) => "\\" + c);
+        const tagStr = Object.entries(tags)
+            .filter(([, v]) => v != null && v !== "")
+            .map(([k, v]) => `,${escKey(k)}=${escKey(v)}`)
+            .join("");
+        const lines = [];
+        for (const r of flattenRecords(records)) {
+            const time = r.ts != null ? r.ts : r.start;
+            const fields = [];
+            for (const [k, v] of Object.entries(r)) {
+                if (INFLUX_SKIP.includes(k) || v == null) continue;
+                if (typeof v === "number" && Number.isFinite(v)) fields.push(`${escKey(k)}=${v}`);
+                else if (typeof v === "boolean") fields.push(`${escKey(k)}=${v}`);
+            }
+            if (!fields.length || time == null) continue;
+            lines.push(`${escMeasurement(measurement)}${tagStr} ${fields.join(",")} ${time}000000`);
+        }
+        return lines.join("\n");
+    }
+
+    // GeoJSON-Feature: Stationspunkt, Zeitreihe als Property
+    function toGeoJson(records, station, coordinates, key) {
+        const c = coordinates;
+        return {
+            type: "Feature",
+            geometry:
+                c && c.lat != null && c.lon != null
+                    ? { type: "Point", coordinates: c.elevation != null ? [c.lon, c.lat, c.elevation] : [c.lon, c.lat] }
+                    : null,
+            properties: {
+                station: station.id,
+                name: station.name,
+                [key]: records
+            }
+        };
+    }
+
+    // msg.payload (Zeitreihe bzw. Tageswerte) ins gewünschte Format bringen
+    function applyOutputFormat(out, format, opts) {
+        if (!format || format === "json" || !Array.isArray(out.payload)) return out;
+        const key = out._meta && out._meta.at ? "points"
+            : out._meta && out._meta.aggregation === "daily" ? "daily" : "series";
+        let payload;
+        if (format === "csv") payload = toCsv(out.payload, opts.cfg, opts.csvDelimiter);
+        else if (format === "influx") {
+            payload = toInfluxLines(out.payload, opts.influxMeasurement || "dwd_forecast", {
+                station: out.station.id,
+                product: out._meta && out._meta.product
+            });
+        } else if (format === "geojson") payload = toGeoJson(out.payload, out.station, opts.coordinates, key);
+        else return out;
+        return { ...out, payload, _meta: { ...out._meta, format } };
+    }
+
+    // ---- Mehrere Stationen ----
+    const MULTI_OUTPUTS = ["combined", "split"];
+
+    // Array oder "H721, 10513" -> ["H721", "10513"] (ohne Duplikate)
+    function parseStationList(input) {
+        if (input == null) return [];
+        const list = Array.isArray(input) ? input : String(input).split(/[\s,;]+/);
+        const out = [];
+        for (const s of list) {
+            const id = String(s == null ? "" : s).toUpperCase().trim();
+            if (id && !out.includes(id)) out.push(id);
+        }
+        return out;
+    }
+
+    // fn(item) für alle Elemente, höchstens `limit` gleichzeitig; Ergebnis in Eingabe-Reihenfolge
+    async function mapLimit(items, limit, fn) {
+        const results = new Array(items.length);
+        let next = 0;
+        const worker = async () => {
+            while (next < items.length) {
+                const i = next++;
+                results[i] = await fn(items[i], i);
+            }
+        };
+        const n = Math.max(1, Math.min(items.length, Math.floor(limit) || 1));
+        await Promise.all(Array.from({ length: n }, worker));
+        return results;
+    }
+
+    // ---- HTTP ----
+    // Zeitangaben in Sekunden wie im Editor; retries = Wiederholungen nach dem ersten Versuch
+    const HTTP_DEFAULTS = { timeout: 30, retries: 2, retryDelay: 1, proxy: "" };
+    const MAX_BACKOFF = 60 * 1000;
+    // längere Retry-After-Vorgaben werden nicht abgewartet, der Fehler geht direkt durch
+    const RETRY_AFTER_MAX = 5 * 60 * 1000;
+
+    // Editor-/msg-Werte -> { timeout (ms), retries, retryDelay (ms), proxy }
+    function normalizeHttpOptions(input) {
+        const o = { ...HTTP_DEFAULTS };
+        for (const [k, v] of Object.entries(input || {})) {
+            if (v == null || v === "") continue;
+            if (k === "proxy") o.proxy = String(v).trim();
+            else if (k in o && Number.isFinite(Number(v)) && Number(v) >= 0) o[k] = Number(v);
+        }
+        return {
+            timeout: Math.round(o.timeout * 1000),
+            retries: Math.floor(o.retries),
+            retryDelay: Math.round(o.retryDelay * 1000),
+            proxy: o.proxy
+        };
+    }
+
+    // Proxy aus Konfiguration bzw. Umgebung (https_proxy / http_proxy, no_proxy) -> axios-Proxy oder false
+    function resolveProxy(url, configured) {
+        const env = (name) => process.env[name] || process.env[name.toUpperCase()] || "";
+        const target = new URL(url);
+        const host = target.hostname.toLowerCase();
+        const bypass = env("no_proxy")
+            .split(",")
+            .map((s) => s.trim().toLowerCase().replace(/^\*?\./, "").replace(/:\d+$/, ""))
+            .filter(Boolean)
+            .some((p) => p === "*" || host === p || host.endsWith("." + p));
+        if (bypass) return false;
+
+        const raw = configured || (target.protocol === "https:" ? env("https_proxy") || env("http_proxy") : env("http_proxy"));
+        if (!raw) return false;
+        const p = new URL(/^[a-z]+:\/\//i.test(raw) ? raw : `http://${raw}`);
+        return {
+            protocol: p.protocol.replace(":", ""),
+            host: p.hostname,
+            port: Number(p.port) || (p.protocol === "https:" ? 443 : 80),
+            ...(p.username
+                ? { auth: { username: decodeURIComponent(p.username), password: decodeURIComponent(p.password) } }
+                : {})
+        };
+    }
+
+    // Retry-After: Sekunden oder HTTP-Datum -> Millisekunden (oder null)
+    function parseRetryAfter(value, now = Date.now()) {
+        if (value == null || value === "") return null;
+        const sec = Number(value);
+        if (Number.isFinite(sec)) return Math.max(0, sec * 1000);
+        const at = Date.parse(value);
+        return Number.isFinite(at) ? Math.max(0, at - now) : null;
+    }
+
+    // ---- Fehlercodes ----
+    // stabil für Flows (msg.errorCode, Status-Ausgang msg.payload.code); Texte bleiben übersetzt
+    const ERROR_CODES = [
+        "STATION_MISSING",
+        "STATION_NOT_FOUND",
+        "STATION_LOOKUP",
+        "NETWORK",
+        "TIMEOUT",
+        "HTTP_ERROR",
+        "KMZ_INVALID",
+        "KML_INVALID",
+        "NO_TIME_STEPS",
+        "NO_PARAMETERS",
+        "UNKNOWN"
+    ];
+    // Wiederholen ändert an diesen Fehlern nichts
+    const PERMANENT_ERRORS = ["ABORTED", "STATION_MISSING", "STATION_NOT_FOUND", "KML_INVALID", "NO_TIME_STEPS", "NO_PARAMETERS"];
+
+    function codedError(code, message, extra) {
+        const e = new Error(message);
+        e.code = code;
+        return Object.assign(e, extra);
+    }
+
+    const abortError = () => codedError("ABORTED", t("runtime.errorAborted"));
+
+    // beliebiger Fehler -> stabiler Code
+    function errorCode(err) {
+        if (!err) return "UNKNOWN";
+        if (ERROR_CODES.includes(err.code)) return err.code;
+        if (err.status) return "HTTP_ERROR";
+        if (err.isAxiosError || /^E[A-Z_]+$/.test(String(err.code || ""))) return "NETWORK";
+        return "UNKNOWN";
+    }
+
+    // Fehler -> Objekt für msg.error (Catch-Node bzw. Status-Ausgang)
+    function describeError(err, station) {
+        return {
+            code: errorCode(err),
+            message: err && err.message ? err.message : String(err),
+            status: (err && err.status) || null,
+            station: station || null,
+            attempts: (err && err.attempts) || null,
+            url: (err && err.url) || null,
+            retryable: isRetryable(err)
+        };
+    }
+
+    // Abbruch von außen (Node geschlossen) wird nicht wiederholt, ebenso 4xx außer 408/429
+    function isRetryable(e) {
+        if (!e || PERMANENT_ERRORS.includes(e.code)) return false;
+        if (e.status) return e.status === 408 || e.status === 429 || e.status >= 500;
+        return true;
+    }
+
+    // exponentieller Backoff mit Jitter (halbe Wartezeit fest, halbe zufällig)
+    function backoffDelay(attempt, base) {
+        const d = Math.min(MAX_BACKOFF, base * 2 ** attempt);
+        return d / 2 + (Math.random() * d) / 2;
+    }
+
+    function sleep(ms, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) return reject(abortError());
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(abortError());
+            };
+            const timer = setTimeout(() => {
+                if (signal) signal.removeEventListener("abort", onAbort);
+                resolve();
+            }, ms);
+            if (signal) signal.addEventListener("abort", onAbort, { once: true });
+        });
+    }
+
+    // GET mit Timeout (ohne Daten vom Server), Proxy und Abbruch; Fehler mit status/retryAfter
+    async function httpGet(url, { responseType, headers = {}, http, signal }) {
+        const opts = http || normalizeHttpOptions();
+        if (signal && signal.aborted) throw abortError();
+        let res;
+        try {
+            res = await axios.get(url, {
+                responseType,
+                headers,
+                timeout: opts.timeout,
+                proxy: resolveProxy(url, opts.proxy),
+                signal,
+                validateStatus: () => true
+            });
+        } catch (err) {
+            if (signal && signal.aborted) throw abortError();
+            if (err.code === "ECONNABORTED" || err.code === "ETIMEDOUT") {
+                throw codedError("TIMEOUT", t("runtime.errorTimeout", { seconds: opts.timeout / 1000 }));
+            }
+            throw err;
+        }
+        if (res.status === 304 || res.status === 200) return res;
+        throw codedError("HTTP_ERROR", `HTTP ${res.status}`, {
+            status: res.status,
+            retryAfter: parseRetryAfter(res.headers["retry-after"])
+        });
+    }
+
+    // liefert { data, etag, lastModified } bzw. { notModified: true } bei 304
+    async function httpGetArrayBuffer(url, headers = {}, http, signal) {
+        const res = await httpGet(url, { responseType: "arraybuffer", headers, http, signal });
+        if (res.status === 304) return { notModified: true };
+        return {
+            data: res.data,
+            etag: res.headers["etag"] || null,
+            lastModified: res.headers["last-modified"] || null
+        };
+    }
+
+    // ---- KMZ-Cache (ETag/Last-Modified + letztes Parse-Ergebnis) ----
+    // im Speicher je URL (bei Gesamtdateien mit den zuletzt angefragten Stationen), optional zusätzlich auf Platte (nur Parse-Ergebnis);
+    // höchstens KMZ_CACHE_MAX Einträge, am längsten unbenutzte fallen zuerst heraus, nach KMZ_CACHE_MAX_AGE ungenutzt ganz
+    const kmzCache = new Map();
+    const KMZ_CACHE_MAX = 32;
+    const KMZ_CACHE_MAX_AGE = 12 * 3600 * 1000;
+
+    function pruneKmzCache(now = Date.now()) {
+        for (const [k, e] of kmzCache) {
+            if (now - (e.usedAt || 0) > KMZ_CACHE_MAX_AGE) kmzCache.delete(k);
+        }
+        while (kmzCache.size > KMZ_CACHE_MAX) kmzCache.delete(kmzCache.keys().next().value);
+    }
+
+    // Eintrag als zuletzt benutzt ans Ende stellen
+    function touchKmzCache(key, entry) {
+        entry.usedAt = Date.now();
+        kmzCache.delete(key);
+        kmzCache.set(key, entry);
+    }
+
+    // Gesamtdatei: Station als genutzt markieren; nicht mehr angefragte Stationen werden nicht weiter mitgeführt
+    function touchKmzStations(key, stations) {
+        const entry = kmzCache.get(key);
+        if (!entry || !entry.stationsUsed) return;
+        const now = Date.now();
+        for (const st of stations) entry.stationsUsed[st] = now;
+    }
+
+    const cacheFileBase = (dir, key) =>
+        path.join(dir, crypto.createHash("sha1").update(key).digest("hex").slice(0, 16));
+
+    // Cache-Dateien, die eine Woche weder geschrieben noch benutzt wurden, werden gelöscht (höchstens stündlich geprüft)
+    const CACHE_FILE_MAX_AGE = 7 * 24 * 3600 * 1000;
+    const CACHE_FILE_RE = /^[0-9a-f]{16}\.json$/;
+    const cacheDirSweeps = new Map();
+
+    async function sweepCacheDir(cacheDir, diagFn) {
+        const now = Date.now();
+        if (now - (cacheDirSweeps.get(cacheDir) || 0) < 3600 * 1000) return;
+        cacheDirSweeps.set(cacheDir, now);
+        try {
+            for (const name of await fs.promises.readdir(cacheDir)) {
+                if (!CACHE_FILE_RE.test(name)) continue;
+                const file = path.join(cacheDir, name);
+                const stat = await fs.promises.stat(file);
+                if (now - stat.mtimeMs > CACHE_FILE_MAX_AGE) {
+                    await fs.promises.unlink(file);
+                    if (diagFn) diagFn(`[DWD-Forecast] Alte Cache-Datei gelöscht: ${name}`);
+                }
+            }
+        } catch (e) {
+            if (diagFn) diagFn(`[DWD-Forecast] Cache-Verzeichnis nicht aufräumbar: ${e.message}`);
+        }
+    }
+
+    // bei 304 bleibt die Datei unverändert, gilt aber als benutzt
+    function touchCacheFile(key, cacheDir) {
+        if (!cacheDir) return;
+        const now = new Date();
+        fs.promises.utimes(`${cacheFileBase(cacheDir, key)}.json`, now, now).catch(() => {
+            // Datei fehlt (z. B. gelöscht): wird beim nächsten Download neu geschrieben
+        });
+    }
+
+    function conditionalHeaders(cached) {
+        const headers = {};
+        if (!cached || !cached.parsed) return headers;
+        if (cached.etag) headers["If-None-Match"] = cached.etag;
+        if (cached.lastModified) headers["If-Modified-Since"] = cached.lastModified;
+        return headers;
+    }
+
+    async function readKmzCache(key, cacheDir, diagFn) {
+        pruneKmzCache();
+        if (kmzCache.has(key)) {
+            const entry = kmzCache.get(key);
+            touchKmzCache(key, entry);
+            return entry;
+        }
+        if (!cacheDir) return null;
+        try {
+            const entry = JSON.parse(await fs.promises.readFile(`${cacheFileBase(cacheDir, key)}.json`, "utf8"));
+            if (!entry || entry.key !== key || !entry.parsed) return null;
+            touchKmzCache(key, entry);
+            pruneKmzCache();
+            if (diagFn) diagFn(`[DWD-Forecast] Cache von Platte geladen (${entry.fetchedAt})`);
+            return entry;
+        } catch (e) {
+            if (e.code !== "ENOENT" && diagFn) diagFn(`[DWD-Forecast] Cache nicht lesbar: ${e.message}`);
+            return null;
+        }
+    }
+
+    // stationsUsed (nur Gesamtdateien): { ID: letzte Anfrage (ms) }
+    async function writeKmzCache(key, cacheDir, res, parsed, diagFn, stationsUsed) {
+        const { timeSteps, params, stationName, run, coordinates, stations, requested, fetchedAt } = parsed;
+        const entry = {
+            key,
+            etag: res.etag,
+            lastModified: res.lastModified,
+            fetchedAt: new Date(fetchedAt || Date.now()).toISOString(),
+            stationsUsed: stationsUsed || undefined,
+            parsed: { timeSteps, params, stationName, run, coordinates, stations, requested }
+        };
+        // ohne Validatoren lohnt sich der Cache nicht (kein 304 möglich)
+        if (!entry.etag && !entry.lastModified) {
+            kmzCache.delete(key);
+            return;
+        }
+        touchKmzCache(key, entry);
+        pruneKmzCache();
+        if (!cacheDir) return;
+        try {
+            const base = cacheFileBase(cacheDir, key);
+            await fs.promises.mkdir(cacheDir, { recursive: true });
+            await fs.promises.writeFile(`${base}.json`, JSON.stringify(entry));
+        } catch (e) {
+            if (diagFn) diagFn(`[DWD-Forecast] Cache nicht schreibbar: ${e.message}`);
+        }
+        await sweepCacheDir(cacheDir, diagFn);
+    }
+
+    // Gesamtdatei: alle gewünschten Stationen in einem Durchgang per Streaming herauslösen
+    // -> { timeSteps, run, stations: { ID: { params, stationName, coordinates } }, requested: [IDs] }
+    async function parseAllStationsEntry(kmlEntry, stationIds, tz, diagFn) {
+        const ids = [...new Set([...stationIds].map((s) => String(s || "").toUpperCase().trim()).filter(Boolean))];
+        if (diagFn) {
+            diagFn(`[DWD-Forecast] Streaming ${kmlEntry.entryName} (${kmlEntry.header.size} bytes entpackt) für Station(en) ${ids.join(", ")}`);
+        }
+        let extracted;
+        try {
+            extracted = await streamExtractStations(kmlEntry, ids, diagFn);
+        } catch (e) {
+            if (e.code) throw e;
+            throw codedError("KML_INVALID", t("runtime.errorKmlInvalid", { error: e.message }));
+        }
+        const { tsStrings, stations, run } = extracted;
+
+        const timeSteps = tsStrings
+            .map((s) => moment.tz(String(s), tz).valueOf())
+            .filter((v) => Number.isFinite(v));
+        if (!timeSteps.length) throw codedError("NO_TIME_STEPS", t("runtime.errorNoTimeSteps"));
+
+        const result = {};
+        for (const [id, found] of Object.entries(stations)) {
+            for (const p of Object.values(found.params)) {
+                if (p.values.length > timeSteps.length) p.values = p.values.slice(0, timeSteps.length);
+                if (p.values.length < timeSteps.length)
+                    p.values = p.values.concat(Array(timeSteps.length - p.values.length).fill(null));
+            }
+            if (diagFn) diagFn(`[DWD-Forecast] gefundene Parameter (Streaming, ${id}): ${Object.keys(found.params).length}`);
+            result[id] = { params: found.params, stationName: found.name, coordinates: parseKmlCoordinates(found.coordinates) };
+        }
+        return { timeSteps, run, stations: result, requested: ids, kmlStr: null };
+    }
+
+    // Gesamtdatei: wurde die Station beim Parsen berücksichtigt (gefunden oder nicht)?
+    function coversStation(file, station) {
+        return !!file && Array.isArray(file.requested) && file.requested.includes(station);
+    }
+
+    // Gesamtdatei: Ergebnis einer Station in der Form der Einzelstationsdatei
+    function pickStation(file, station, url) {
+        const st = String(station || "").toUpperCase().trim();
+        const found = file.stations && file.stations[st];
+        if (!found) throw codedError("STATION_NOT_FOUND", t("runtime.errorStationNotInProduct", { station: st }), { url });
+        if (!Object.keys(found.params).length) throw codedError("NO_PARAMETERS", t("runtime.errorNoParameters"), { url });
+        const { timeSteps, run, cache, fetchedAt } = file;
+        return {
+            timeSteps,
+            params: found.params,
+            stationName: found.stationName,
+            run,
+            coordinates: found.coordinates,
+            kmlStr: null,
+            fetchedAt,
+            cache
+        };
+    }
+
+    // ---- Fetch & Parse ----
+    // KMZ-Puffer entpacken und parsen (Einzelstation: xml2js + Fallbacks, Gesamtdatei: Streaming)
+    async function parseKmz(buf, tz, diagFn, opts = {}) {
+        let entries;
+        try {
+            entries = new AdmZip(buf).getEntries();
+        } catch (e) {
+            throw codedError("KMZ_INVALID", t("runtime.errorKmzInvalid", { error: e.message }));
+        }
+        if (!entries || !entries.length) throw codedError("KMZ_INVALID", t("runtime.errorKmzEmpty"));
+
+        const kmlEntry = entries.find((e) => e.entryName.toLowerCase().endsWith(".kml")) || entries[0];
+
+        if (opts.allStations) {
+            return await parseAllStationsEntry(kmlEntry, opts.stations || [opts.station], tz, diagFn);
+        }
+
+        let kmlStr;
+        try {
+            kmlStr = kmlEntry.getData().toString("utf8");
+        } catch (e) {
+            throw codedError("KMZ_INVALID", t("runtime.errorKmzInvalid", { error: e.message }));
+        }
+
+        if (diagFn) {
+            diagFn("[DWD-Forecast] KMZ KML-Entries:");
+            entries
+                .filter((e) => e.entryName.toLowerCase().endsWith(".kml"))
+                .forEach((e) => diagFn(` - ${e.entryName} (${e.header.size} bytes)`));
+            diagFn(`[DWD-Forecast] KML picked: ${kmlEntry.entryName} (${kmlEntry.header.size} bytes)`);
+        }
+
+        // Diagnose-Kennzahlen
+        if (diagFn) {
+            const count = (re) => ((kmlStr.match(re) || []).length);
+            diagFn(`[DWD-Forecast] Count <SimpleArrayData>: ${count(/<([a-zA-Z0-9_]+:)?SimpleArrayData\b/gi)}`);
+            diagFn(`[DWD-Forecast] Count <Parameter id="...">: ${count(/<([a-zA-Z0-9_]+:)?Parameter\b[^>]*\bid="/gi)}`);
+            diagFn(`[DWD-Forecast] Count <elementName>: ${count(/<([a-zA-Z0-9_]+:)?elementName\b/gi)}`);
+            diagFn(`[DWD-Forecast] Count <values>: ${count(/<([a-zA-Z0-9_]+:)?values\b/gi)}`);
+            diagFn(`[DWD-Forecast] Count <value>: ${count(/<([a-zA-Z0-9_]+:)?value\b/gi)}`);
+
+            const m3 = kmlStr.match(/<([a-zA-Z0-9_]+:)?Forecast\b[\s\S]*?<\/\1?Forecast>/i);
+            if (m3) diagFn(`[DWD-Forecast] Sample Forecast: ${m3[0].slice(0, 500).replace(/\s+/g,' ')}…`);
+        }
+
+        let kml;
+        try {
+            kml = await parseStringPromise(kmlStr, {
+                explicitArray: true,
+                preserveChildrenOrder: false,
+                mergeAttrs: true,
+            });
+        } catch (e) {
+            throw codedError("KML_INVALID", t("runtime.errorKmlInvalid", { error: e.message }));
+        }
+
+        const kmlRoot = getKmlRoot(kml);
+        const doc = findFirstDocumentNode(kmlRoot) || findFirstDocumentNode(kml);
+
+        if (diagFn) {
+            const topKey = Object.keys(kml)[0] || "kml:kml";
+            diagFn(`[DWD-Forecast] KML Top-Level Keys: ${topKey}`);
+            diagFn(`[DWD-Forecast] Document keys: ${doc ? Object.keys(doc).join(", ") : "(none)"}`);
+        }
+        if (!doc) throw codedError("KML_INVALID", t("runtime.errorKmlNoDocument"));
+
+        // optional: Placemark-Struktur debuggen
+        if (diagFn && doc) {
+            const pms = []
+                .concat(asArray(doc.Placemark))
+                .concat(asArray(doc["kml:Placemark"]))
+                .filter(Boolean);
+
+            if (pms.length) {
+                diagFn(`[DWD-Forecast] Placemark keys: ${Object.keys(pms[0]).join(", ")}`);
+            }
+        }
+
+        // TimeSteps
+        let tsStrings = collectTimeStepStrings(doc, []);
+        if (!tsStrings.length) {
+            const w = collectTrackWhenStrings(doc, []);
+            if (diagFn) diagFn(`[DWD-Forecast] Fallback when: ${w.length} Treffer`);
+            tsStrings = w;
+        }
+        if (!tsStrings.length) {
+            const whenRe = /<\w*:TimeStep>([^<]+)<\/\w*:TimeStep>/g;
+            const tmp = [];
+            let m;
+            while ((m = whenRe.exec(kmlStr))) tmp.push(m[1]);
+            if (diagFn) diagFn(`[DWD-Forecast] Regex-Fallback TimeSteps: ${tmp.length} Treffer`);
+            tsStrings = tmp;
+        }
+
+        const timeSteps = tsStrings
+            .map((s) => moment.tz(String(s), tz).valueOf())
+            .filter((v) => Number.isFinite(v));
+
+        if (diagFn) {
+            diagFn(`[DWD-Forecast] TimeSteps gesamt: ${tsStrings.length}`);
+            diagFn(`[DWD-Forecast] TimeSteps nach Parse: ${timeSteps.length}`);
+            if (tsStrings.length) {
+                diagFn(`[DWD-Forecast] TimeStep-Beispiele (roh): ${tsStrings.slice(0, 5).join(", ")}`);
+            }
+        }
+        if (!timeSteps.length) throw codedError("NO_TIME_STEPS", t("runtime.errorNoTimeSteps"));
+
+        // Params A–D sammeln
+        const paramsA = extractParamsFromSchemaData(doc, diagFn);
+        let params = { ...paramsA };
+
+        if (!Object.keys(params).length) {
+            const paramsB = extractParamsFromForecast(doc, diagFn);
+            params = { ...params, ...paramsB };
+        }
+
+        if (!Object.keys(params).length) {
+            const paramsB2 = extractParamsFromDwdForecast(doc, diagFn);
+            params = { ...params, ...paramsB2 };
+        }
+
+        if (!Object.keys(params).length) {
+            const paramsC = extractParamsByRegex(kmlStr, diagFn);
+            params = { ...params, ...paramsC };
+        }
+
+        if (!Object.keys(params).length) {
+            const paramsD = extractParamsByGenericWalk(doc, diagFn);
+            params = { ...params, ...paramsD };
+        }
+
+        if (diagFn) diagFn(`[DWD-Forecast] gefundene Parameter (gesamt): ${Object.keys(params).length}`);
+        if (!Object.keys(params).length) throw codedError("NO_PARAMETERS", t("runtime.errorNoParameters"));
+        if (diagFn && Object.keys(params).length) {
+            const sampleCodes = Object.keys(params).slice(0, 20).join(", ");
+            diagFn(`[DWD-Forecast] Param-Codes (Auszug): ${sampleCodes}`);
+        }
+
+        // Länge angleichen
+        for (const p of Object.values(params)) {
+            if (p.values.length > timeSteps.length) p.values = p.values.slice(0, timeSteps.length);
+            if (p.values.length < timeSteps.length)
+                p.values = p.values.concat(Array(timeSteps.length - p.values.length).fill(null));
+        }
+
+        const stationName = tryGetStationName(doc);
+        const run = parseProductDefinition(kmlStr);
+        if (diagFn && run) diagFn(`[DWD-Forecast] Modelllauf: ${run.issueTime} (${run.productId || "?"})`);
+        const coordMatch = kmlStr.match(/<(?:[\w-]+:)?coordinates\b[^>]*>([^<]*)</);
+        const coordinates = parseKmlCoordinates(coordMatch && coordMatch[1]);
+        return { timeSteps, params, stationName, run, coordinates, kmlStr };
+    }
+
+    // ---- URL bauen (mit i18n-Fehler bei fehlender Station) ----
+    function buildUrl(station, tpl, product) {
+        const st = (station || "").toUpperCase().trim();
+        if (!st) {
+            // Fehlermeldung bereits übersetzt
+            throw codedError("STATION_MISSING", t("runtime.errorStationMissing"));
+        }
+        // das Standard-Template der Einzelstation gilt nicht für Gesamtdateien
+        const prod = PRODUCTS[product] || PRODUCTS.mosmix_l;
+        const useTpl = !tpl || (prod.allStations && tpl === DEFAULT_URL_TEMPLATE) ? prod.url : tpl;
+        return useTpl.replace(/{station}/gi, st);
+    }
+
+    // Abruf einer Datei (Cache je URL)
+    // opts: allStations, station, cacheDir, http (normalizeHttpOptions), signal (AbortSignal); bei Gesamtdateien opts.stations = Set der gewünschten Stationen,
+    // das bis zum Parsen noch wachsen darf (gemeinsamer Abruf), Ergebnis wie parseAllStationsEntry
+    async function fetchMosmixFile(url, tz, diagFn, opts = {}) {
+        const wanted = opts.allStations
+            ? opts.stations || new Set([String(opts.station || "").toUpperCase().trim()])
+            : null;
+        const http = opts.http || normalizeHttpOptions();
+        let lastErr;
+        let attempts = 0;
+        for (let attempt = 0; attempt <= http.retries; attempt++) {
+            attempts = attempt + 1;
+            try {
+                // bedingter Abruf: bei 304 wird das zwischengespeicherte Parse-Ergebnis verwendet
+                const cached = await readKmzCache(url, opts.cacheDir, diagFn);
+                // Gesamtdatei: 304 hilft nur, wenn der Cache alle gewünschten Stationen enthält
+                const usable = !!cached && (!wanted || [...wanted].every((st) => coversStation(cached.parsed, st)));
+                const res = await httpGetArrayBuffer(url, usable ? conditionalHeaders(cached) : {}, http, opts.signal);
+                if (res.notModified && usable) {
+                    if (wanted) touchKmzStations(url, wanted);
+                    touchCacheFile(url, opts.cacheDir);
+                    if (diagFn) diagFn(`[DWD-Forecast] 304 Not Modified – Cache-Treffer (${cached.etag || cached.lastModified})`);
+                    // Alter der Daten ab dem ursprünglichen Download
+                    return { ...cached.parsed, kmlStr: null, fetchedAt: Date.parse(cached.fetchedAt) || Date.now(), cache: "hit" };
+                }
+
+                // zwischengespeicherte Stationen bleiben im neuen Ergebnis, solange sie noch angefragt werden
+                const used = {};
+                if (wanted && cached && cached.stationsUsed) {
+                    const now = Date.now();
+                    for (const [st, at] of Object.entries(cached.stationsUsed)) {
+                        if (wanted.has(st) || now - at > KMZ_CACHE_MAX_AGE) continue;
+                        wanted.add(st);
+                        used[st] = at;
+                    }
+                }
+                const parsed = await parseKmz(res.data, tz, diagFn, { ...opts, stations: wanted });
+                if (opts.signal && opts.signal.aborted) throw abortError();
+                parsed.fetchedAt = Date.now();
+                if (wanted) {
+                    for (const st of parsed.requested) if (!(st in used)) used[st] = parsed.fetchedAt;
+                }
+                await writeKmzCache(url, opts.cacheDir, res, parsed, diagFn, wanted ? used : null);
+                return { ...parsed, cache: "miss" };
+            } catch (e) {
+                lastErr = e;
+                if (diagFn) diagFn(`[DWD-Forecast] Versuch ${attempt + 1} fehlgeschlagen: ${e.message}`);
+                if (attempt >= http.retries || !isRetryable(e)) break;
+                let delay = backoffDelay(attempt, http.retryDelay);
+                if (e.retryAfter != null) {
+                    if (e.retryAfter > RETRY_AFTER_MAX) break;
+                    delay = Math.max(delay, e.retryAfter);
+                }
+                if (diagFn) diagFn(`[DWD-Forecast] Nächster Versuch in ${Math.round(delay)} ms`);
+                await sleep(delay, opts.signal);
+            }
+        }
+        if (!lastErr) throw codedError("UNKNOWN", t("runtime.errorUnknown"), { attempts, url });
+        if (lastErr.code === "ABORTED") throw lastErr;
+        // Einzelstationsdatei fehlt: Station existiert nicht (z. B. Tippfehler in der ID)
+        if (lastErr.status === 404 && !opts.allStations) {
+            const station = String(opts.station || "").toUpperCase().trim();
+            throw codedError("STATION_NOT_FOUND", t("runtime.errorStationNotFound", { station }), { status: 404, attempts, url });
+        }
+        throw Object.assign(lastErr, { attempts, url });
+    }
+
+    // ---- Gemeinsamer Abruf aller Node-Instanzen ----
+    // gleichzeitige und kurz zurückliegende Abrufe derselben Datei teilen sich Download und Parse-Ergebnis
+    const SHARED_TTL_DEFAULT = 60;
+    const SHARED_TTL_MAX = 3600;
+    const sharedFetches = new Map();
+
+    function normalizeSharedTtl(v) {
+        const n = v === "" || v == null ? SHARED_TTL_DEFAULT : Number(v);
+        return Number.isFinite(n) ? Math.min(Math.max(0, n), SHARED_TTL_MAX) : SHARED_TTL_DEFAULT;
+    }
+
+    // wartet auf einen gemeinsamen Abruf; der Download wird erst abgebrochen, wenn kein Node mehr wartet
+    function joinSharedFetch(entry, signal) {
+        if (signal && signal.aborted) return Promise.reject(abortError());
+        entry.waiting++;
+        return new Promise((resolve, reject) => {
+            let left = false;
+            const leave = () => {
+                if (left) return;
+                left = true;
+                if (signal) signal.removeEventListener("abort", onAbort);
+                entry.waiting--;
+                if (!entry.waiting && !entry.done) {
+                    if (sharedFetches.get(entry.key) === entry) sharedFetches.delete(entry.key);
+                    entry.controller.abort();
+                }
+            };
+            const onAbort = () => {
+                leave();
+                reject(abortError());
+            };
+            if (signal) signal.addEventListener("abort", onAbort, { once: true });
+            entry.promise.then(
+                (res) => {
+                    leave();
+                    resolve(res);
+                },
+                (err) => {
+                    leave();
+                    reject(err);
+                }
+            );
+        });
+    }
+
+    // Ergebnis einer Station, prozessweit je URL zusammengefasst; opts.sharedTtl in Sekunden (0 = nur gleichzeitige Abrufe).
+    // Gesamtdateien: Stationen, die während des Downloads hinzukommen, werden im selben Durchgang herausgelöst.
+    async function fetchMosmixShared(url, tz, diagFn, opts = {}) {
+        const st = String(opts.station || "").toUpperCase().trim();
+        const ttl = normalizeSharedTtl(opts.sharedTtl) * 1000;
+        const now = Date.now();
+        for (const [k, e] of sharedFetches) {
+            if (e.done && now - e.at > SHARED_TTL_MAX * 1000) sharedFetches.delete(k);
+        }
+
+        const existing = sharedFetches.get(url);
+        const reusable =
+            existing &&
+            (!existing.done || (now - existing.at <= ttl && (!opts.allStations || coversStation(existing.file, st))));
+        if (reusable) {
+            if (opts.allStations) existing.stations.add(st);
+            if (diagFn) diagFn(`[DWD-Forecast] Gemeinsamer Abruf (${existing.done ? "Ergebnis" : "läuft"}): ${url}`);
+            const file = await joinSharedFetch(existing, opts.signal);
+            // Extraktion lief bereits ohne diese Station: neuer Abruf
+            if (opts.allStations && !coversStation(file, st)) return fetchMosmixShared(url, tz, diagFn, opts);
+            if (opts.allStations) touchKmzStations(url, [st]);
+            const res = opts.allStations ? pickStation(file, st, url) : file;
+            return { ...res, kmlStr: null, cache: "shared" };
+        }
+
+        // eigener Controller: der Abbruch eines einzelnen Nodes beendet den Download nicht für die anderen
+        const entry = {
+            key: url,
+            at: now,
+            done: false,
+            waiting: 0,
+            controller: new AbortController(),
+            stations: new Set(opts.allStations ? [st] : [])
+        };
+        const fileOpts = { ...opts, stations: opts.allStations ? entry.stations : undefined, signal: entry.controller.signal };
+        entry.promise = fetchMosmixFile(url, tz, diagFn, fileOpts).then(
+            (res) => {
+                entry.done = true;
+                entry.at = Date.now();
+                entry.file = res;
+                return res;
+            },
+            (err) => {
+                if (sharedFetches.get(url) === entry) sharedFetches.delete(url);
+                throw err;
+            }
+        );
+        sharedFetches.set(url, entry);
+        const file = await joinSharedFetch(entry, opts.signal);
+        return opts.allStations ? pickStation(file, st, url) : file;
+    }
+
+    // ---- Zeitplan ----
+    const REFRESH_MODES = ["off", "interval", "publication", "cron"];
+    // setTimeout verträgt höchstens ~24,8 Tage; längere Wartezeiten werden in Etappen überbrückt
+    const MAX_TIMER = 2 ** 31 - 1;
+
+    // nächster Veröffentlichungszeitpunkt nach `now`: Ausgabezeit + Verzögerung (min)
+    function nextPublicationRun(now, product, delayMin) {
+        const prod = PRODUCTS[product] || PRODUCTS.mosmix_l;
+        const delay = (Number.isFinite(delayMin) ? delayMin : prod.publishDelay) * 60000;
+        const day = now - (now % 86400000);
+        let best = null;
+        for (const offset of [-1, 0, 1]) {
+            for (const h of prod.issueHours) {
+                const at = day + offset * 86400000 + h * 3600000 + delay;
+                if (at > now && (best == null || at < best)) best = at;
+            }
+        }
+        return best;
+    }
+
+    const CRON_ALIASES = {
+        "@hourly": "0 * * * *",
+        "@daily": "0 0 * * *",
+        "@midnight": "0 0 * * *",
+        "@weekly": "0 0 * * 0",
+        "@monthly": "0 0 1 * *"
+    };
+    const CRON_NAMES = {
+        month: ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"],
+        dow: ["sun", "mon", "tue", "wed", "thu", "fri", "sat"]
+    };
+
+    // "*/15 4-22 * * mon-fri" (Minute Stunde Tag Monat Wochentag) -> Mengen je Feld; ungültig -> Error
+    function parseCron(expr) {
+        const text = String(expr || "").trim().toLowerCase();
+        const parts = (CRON_ALIASES[text] || text).split(/\s+/);
+        const fail = () => new Error(t("runtime.errorCron", { cron: String(expr || "") }));
+        if (parts.length !== 5) throw fail();
+        const specs = [
+            ["minute", 0, 59],
+            ["hour", 0, 23],
+            ["dom", 1, 31],
+            ["month", 1, 12],
+            ["dow", 0, 7]
+        ];
+        const cron = {};
+        specs.forEach(([name, min, max], idx) => {
+            const names = CRON_NAMES[name];
+            const value = (v) => {
+                // leere Teile ("-5", "1,,2", "5-/2") nicht als 0 werten
+                if (v === "") throw fail();
+                const i = names ? names.indexOf(v) : -1;
+                const n = i >= 0 ? i + (name === "month" ? 1 : 0) : Number(v);
+                if (!Number.isInteger(n) || n < min || n > max) throw fail();
+                return n;
+            };
+            const set = new Set();
+            for (const item of parts[idx].split(",")) {
+                const pieces = item.split("/");
+                const [range, stepStr] = pieces;
+                const step = stepStr == null ? 1 : Number(stepStr);
+                if (pieces.length > 2 || !Number.isInteger(step) || step < 1) throw fail();
+                const bounds = range === "*" ? null : range.split("-");
+                if (bounds && bounds.length > 2) throw fail();
+                let [from, to] = bounds ? bounds.map(value) : [min, max];
+                if (to == null) to = stepStr == null ? from : max;
+                if (from > to) throw fail();
+                for (let v = from; v <= to; v += step) set.add(name === "dow" && v === 7 ? 0 : v);
+            }
+            cron[name] = set;
+            cron[name + "Any"] = parts[idx] === "*";
+        });
+        return cron;
+    }
+
+    // nächster Zeitpunkt (ms) nach `now` in Zeitzone tz; Tag und Wochentag wie bei cron: beide gesetzt = eines genügt
+    function nextCronRun(cron, now, tz) {
+        const m = moment.tz(now, tz).startOf("minute").add(1, "minute");
+        const dayMatches = () => {
+            const dom = cron.dom.has(m.date());
+            const dow = cron.dow.has(m.day());
+            if (cron.domAny) return dow;
+            if (cron.dowAny) return dom;
+            return dom || dow;
+        };
+        // Obergrenze: gut vier Jahre in Tagesschritten (z. B. 29. Februar)
+        for (let i = 0; i < 200000; i++) {
+            if (!cron.month.has(m.month() + 1)) m.add(1, "month").startOf("month");
+            else if (!dayMatches()) m.add(1, "day").startOf("day");
+            else if (!cron.hour.has(m.hour())) m.add(1, "hour").startOf("hour");
+            else if (!cron.minute.has(m.minute())) m.add(1, "minute");
+            else return m.valueOf();
+        }
+        return null;
+    }
 
+    function DwdWeatherForecastNode(config) {
+        RED.nodes.createNode(this, config);
+        const node = this;
+
+        // ---- Konfiguration aus UI ----
+        // eine Station-ID oder Liste ("H721, 10513")
+        node.stations = parseStationList(config.station);
+        node.station = node.stations[0] || "";
+        node.sourceUrl = (config.sourceUrl || DEFAULT_URL_TEMPLATE).trim();
+        node.product = PRODUCTS[config.product] ? config.product : "mosmix_l";
+        node.location = normalizeLocation({
+            lat: config.latitude,
+            lon: config.longitude,
+            elevation: config.altitude
+        });
+        node.elevationPenalty = Number(config.elevationPenalty || 0);
+        node.stationCatalog = (config.stationCatalog || "").trim();
+        node.cacheDir = (config.cacheDir || "").trim();
+        node.sharedCacheTtl = normalizeSharedTtl(config.sharedCacheTtl);
+        node.http = normalizeHttpOptions({
+            timeout: config.timeout,
+            retries: config.retries,
+            retryDelay: config.retryDelay,
+            proxy: config.proxy
+        });
+
+        node.fetchOnDeploy = !!config.fetchOnDeploy;
+        node.autoRefresh = Number(config.autoRefresh || 0);
+        // ältere Flows: Intervall, sobald autoRefresh gesetzt ist
+        node.refreshMode = REFRESH_MODES.includes(config.refreshMode)
+            ? config.refreshMode
+            : node.autoRefresh > 0 ? "interval" : "off";
+        node.publishDelay = config.publishDelay === "" || config.publishDelay == null ? null : Number(config.publishDelay);
+        node.cron = null;
+        if (node.refreshMode === "cron") {
+            try {
+                node.cron = parseCron(config.cron);
+            } catch (e) {
+                node.warn(e.message);
+                node.refreshMode = "off";
+            }
+        }
+        node.overlap = config.overlap === "queue" ? "queue" : "skip";
+        node.hoursAhead = Number(
+            (config.hoursAhead != null ? config.hoursAhead : config.maxHours) || 0
+        );
+        node.coreOnly = !!config.coreOnly;
+        // Einheitensystem; ältere Flows ohne unitSystem behalten ihre vier Schalter
+        node.units = !config.unitSystem
+            ? legacyUnits(config)
+            : config.unitSystem === "custom"
+                ? resolveUnits({
+                    system: "custom",
+                    temperature: config.unitTemperature,
+                    speed: config.unitSpeed,
+                    pressure: config.unitPressure,
+                    distance: config.unitDistance,
+                    precipitation: config.unitPrecipitation
+                })
+                : resolveUnits(config.unitSystem);
+        node.windDirMode = (config.windDirMode || "deg"); // NEW
+        node.parameters = parseParameterList(config.parameters);
+        node.aggregation = AGGREGATIONS.includes(config.aggregation) ? config.aggregation : "hourly";
+        node.timezone = resolveTimezone(config.timezone) || DEFAULT_TZ;
+        if (config.timezone && !resolveTimezone(config.timezone)) {
+            node.warn(t("runtime.warnTimezone", { tz: config.timezone, fallback: DEFAULT_TZ }));
+        }
+        node.diag = !!config.diag;
+        node.staleOnError = !!config.staleOnError;
+        node.staleMaxAge = Math.max(0, Number(config.staleMaxAge) || 0);
+        node.contextStore = config.contextStore || undefined;
+        node.onlyFuture = !!config.onlyFuture;
+        node.onlyNewRun = !!config.onlyNewRun;
+        node.changeOutput = !!config.changeOutput;
+        try {
+            node.changeThresholds = parseChangeThresholds(config.changeThresholds);
+        } catch (e) {
+            node.warn(t("runtime.warnChangeThresholds", { error: e.message }));
+            node.changeThresholds = parseChangeThresholds();
+        }
+        node.alertOutput = !!config.alertOutput;
+        node.statusOutput = !!config.statusOutput;
+        node.alertPresets = Array.isArray(config.alertPresets) ? config.alertPresets : [];
+        node.alertRules = config.alertRules || "";
+        node.alertRepeat = !!config.alertRepeat;
+        if (node.alertOutput) {
+            try {
+                resolveAlertRules(node.alertPresets, node.alertRules, { units: node.units });
+            } catch (e) {
+                node.warn(t("runtime.warnAlertRules", { error: e.message }));
+                node.alertRules = "";
+            }
+        }
+        node.outputFormat = OUTPUT_FORMATS.includes(config.outputFormat) ? config.outputFormat : "json";
+        node.csvDelimiter = config.csvDelimiter === "\\t" ? "\t" : config.csvDelimiter || ",";
+        node.influxMeasurement = (config.influxMeasurement || "").trim() || "dwd_forecast";
+        node.resample = config.resample || "";
+        node.derived = parseDerivedList(config.derived);
+        node.probabilities = parseProbabilityWindows(config.probabilities);
+        node.pv = config.pvEnabled
+            ? normalizePvConfig({
+                peakPower: config.pvPeakPower,
+                tilt: config.pvTilt,
+                azimuth: config.pvAzimuth,
+                tempCoeff: config.pvTempCoeff,
+                losses: config.pvLosses
+            })
+            : null;
+        node.concurrency = Math.max(1, Number(config.concurrency) || 3);
+        node.multiOutput = MULTI_OUTPUTS.includes(config.multiOutput) ? config.multiOutput : "combined";
+
+        // ---- Ausgänge: [Vorhersage, Änderungen?, Warnungen?, Status?] ----
+        const outputSlots = ["forecast"];
+        if (node.changeOutput) outputSlots.push("changes");
+        if (node.alertOutput) outputSlots.push("alerts");
+        if (node.statusOutput) outputSlots.push("status");
+
+        function sendTo(slot, msg) {
+            if (!outputSlots.includes(slot)) return;
+            if (outputSlots.length === 1) return node.send(msg);
+            node.send(outputSlots.map((s) => (s === slot ? msg : null)));
+        }
+
+        // ---- Status-Helfer ----
+        let refreshTimer = null;
+        let nextRun = null;
+        const aborter = new AbortController();
+        // mit aktivem Zeitplan wird der nächste Abruf angehängt
+        const setStatus = (text, shape = "dot", color = "blue") =>
             node.status({
-                fill: "yellow",
-                shape: "ring",
-                text: t("runtime.statusStale", { count })
+                fill: color,
+                shape,
+                text: text && nextRun
+                    ? `${text} · ${t("runtime.statusNext", { time: moment.tz(nextRun, node.timezone).format(t("alerts.timeFormat")) })}`
+                    : text
             });
 
-            node.send(out);
-            return true;
+        // ---- Context für Stale-Daten (je Station) ----
+        // optional in einem eigenen (z. B. persistenten) Context-Store, damit die Daten Neustarts überstehen
+        const ctx = node.context();
+        const CTX_KEY = "lastGood";
+
+        function readLastGood() {
+            try {
+                return ctx.get(CTX_KEY, node.contextStore) || {};
+            } catch (e) {
+                if (node.diag) node.log(`[DWD-Forecast] Context lesen fehlgeschlagen: ${e.message}`);
+                return {};
+            }
         }
 
-        // ---- URL bauen (mit i18n-Fehler bei fehlender Station) ----
-        function buildUrl(station, tpl) {
-            const st = (station || "").toUpperCase().trim();
-            if (!st) {
-                // Fehlermeldung bereits übersetzt
-                throw new Error(t("runtime.errorStationMissing"));
+        function saveLastGood(series, meta, station, daily, coordinates) {
+            const all = readLastGood();
+            all[station] = {
+                at: Date.parse(meta.fetchedAt) || Date.now(),
+                station,
+                series,
+                daily,
+                coordinates,
+                meta
+            };
+            try {
+                ctx.set(CTX_KEY, all, node.contextStore);
+            } catch (e) {
+                node.warn(t("runtime.warnContextStore", { store: node.contextStore || "default", error: e.message }));
+            }
+        }
+
+        // gleicher Modelllauf wie beim letzten erfolgreichen Abruf?
+        function isKnownRun(station, run) {
+            const last = readLastGood()[station];
+            return !!(run && last && last.meta && last.meta.run && last.meta.run.issueTime === run.issueTime);
+        }
+
+        // letzte gute Daten einer Station als Ausgabe-Nachricht (oder null, wenn zu alt bzw. leer)
+        function buildStaleOutput(station, msg) {
+            const last = readLastGood()[station];
+            if (!last) return null;
+
+            const now = Date.now();
+            const ageSeconds = Math.max(0, Math.round((now - last.at) / 1000));
+            if (node.staleMaxAge > 0 && ageSeconds > node.staleMaxAge * 3600) {
+                if (node.diag) node.log(`[DWD-Forecast] Stale-Daten für ${station} zu alt (${ageSeconds} s)`);
+                return null;
             }
-            return (tpl || DEFAULT_URL_TEMPLATE).replace(/{station}/gi, st);
+
+            // Zeitfilter erneut anwenden, damit vergangene Stunden wegfallen
+            const onlyFuture =
+                typeof (msg && msg.onlyFuture) === "boolean" ? msg.onlyFuture : node.onlyFuture;
+            const hoursAhead = Number(
+                (msg && msg.hoursAhead != null ? msg.hoursAhead : node.hoursAhead) || 0
+            );
+            const until = Number.isFinite(hoursAhead) && hoursAhead > 0 ? now + hoursAhead * 3600 * 1000 : Infinity;
+            const series = (last.series || []).filter((r) => (!onlyFuture || r.ts >= now) && r.ts <= until);
+            const daily = (last.daily || []).filter((d) => (!onlyFuture || d.end > now) && d.start <= until);
+            if (!series.length && !daily.length) return null;
+
+            const { at, ...meta } = last.meta || {};
+            const out = {
+                ...buildAggregatedOutput(series, daily, meta.aggregation),
+                station: {
+                    id: last.station,
+                    name: meta.stationName || null,
+                    ...(last.coordinates ? { lat: last.coordinates.lat, lon: last.coordinates.lon, elevation: last.coordinates.elevation ?? null } : {})
+                },
+                _meta: {
+                    ...meta,
+                    count: series.length,
+                    days: last.daily ? daily.length : undefined,
+                    stale: true,
+                    fetchedAt: new Date(last.at).toISOString(),
+                    ageSeconds
+                }
+            };
+            return applyOutputFormat(out, meta.format || node.outputFormat, {
+                cfg: node,
+                coordinates: last.coordinates,
+                csvDelimiter: node.csvDelimiter,
+                influxMeasurement: node.influxMeasurement
+            });
+        }
+
+        // gesendete Stale-Nachricht (oder null)
+        function sendStaleIfAvailable(station, msg) {
+            const out = buildStaleOutput(station, msg);
+            if (!out) return null;
+
+            const count = out._meta.count || (out.payload || []).length || 0;
+            setStatus(t("runtime.statusStale", { count }), "ring", "yellow");
+
+            sendTo("forecast", out);
+            return out;
         }
 
         // begrenzt timeSteps/params auf das Zeitfenster [now, now + hoursAhead h]
@@ -969,15 +3487,70 @@ module.exports = function (RED) {
             return { timeSteps: ts, params: pr };
         }
 
-        // ---- Haupt-Logik: Abruf + Normalisierung ----
-        async function runFetch(msg) {
-            const station = (msg && msg.station) || node.station;
+        // Koordinaten -> nächstgelegene MOSMIX-Station aus dem Stationskatalog
+        async function resolveNearestStation(loc) {
+            const stations = await loadStationCatalog(node.stationCatalog, node.http);
+            const [nearest] = findNearestStations(stations, loc, {
+                elevationPenalty: node.elevationPenalty
+            });
+            if (!nearest) throw new Error(t("runtime.errorCatalogEmpty"));
+            if (node.diag) {
+                node.log(
+                    `[DWD-Forecast] Nächste Station zu ${loc.lat},${loc.lon}: ${nearest.id} (${nearest.name}, ${nearest.distanceKm} km)`
+                );
+            }
+            return nearest;
+        }
+
+        // ---- Abruf + Normalisierung einer Station -> Ausgabe-Nachricht (null = kein neuer Lauf) ----
+        // PV: msg.pv ergänzt die Konfiguration (true = Standardwerte), false schaltet ab
+        function pvConfigFor(msg) {
+            if (!msg || msg.pv == null) return node.pv;
+            if (msg.pv === false) return null;
+            return normalizePvConfig({ ...(node.pv || {}), ...(typeof msg.pv === "object" ? msg.pv : {}) });
+        }
+
+        // msg.at -> je Zeitpunkt ein interpolierter Datensatz mit den umgebenden Quell-Zeitschritten
+        function queryPoints(at, timeSteps, params, cfg) {
+            const now = Date.now();
+            const requested = (Array.isArray(at) ? at : [at]).map((x) => {
+                const ts = parseAt(x, now);
+                if (Number.isFinite(ts)) return ts;
+                node.warn(t("runtime.warnAt", { at: String(x) }));
+                return null;
+            });
+            const points = requested.map((ts) => {
+                const point = ts == null ? null : pointParams(timeSteps, params, ts);
+                if (!point) return null;
+                const [rec] = normalizeRecords([ts], point.params, cfg);
+                const srcParams = {};
+                for (const [code, p] of Object.entries(params)) {
+                    srcParams[code] = { ...p, values: point.source.map((i) => p.values[i]) };
+                }
+                rec.interpolated = !point.exact;
+                rec.source = normalizeRecords(point.source.map((i) => timeSteps[i]), srcParams, cfg);
+                return rec;
+            });
+            return { requested, points };
+        }
+
+        async function fetchStation(station, nearest, msg) {
+            const product = PRODUCTS[msg && msg.product] ? msg.product : node.product;
             const tpl =
                 (msg && msg.sourceUrl) || node.sourceUrl || DEFAULT_URL_TEMPLATE;
-            const url = buildUrl(station, tpl);
+            const url = buildUrl(station, tpl, product);
 
             if (node.diag) node.log(`[DWD-Forecast] URL: ${url}`);
-            setStatus(t("runtime.statusLoading"), "dot", "blue");
+
+            // Zeitzone: msg.timezone > Konfiguration
+            let tz = node.timezone;
+            if (msg && msg.timezone) {
+                tz = resolveTimezone(msg.timezone);
+                if (!tz) {
+                    node.warn(t("runtime.warnTimezone", { tz: msg.timezone, fallback: node.timezone }));
+                    tz = node.timezone;
+                }
+            }
 
             const effectiveHoursAhead = Number(
                 msg && msg.hoursAhead != null ? msg.hoursAhead : node.hoursAhead
@@ -990,146 +3563,553 @@ module.exports = function (RED) {
                 );
             }
 
-            try {
-                const { timeSteps, params, stationName } = await fetchAndParseMosmix(
-                    url,
-                    "Europe/Berlin",
-                    node.diag ? node.log.bind(node) : null
+            const { timeSteps, params, stationName, run, coordinates, cache, fetchedAt } = await fetchMosmixShared(
+                url,
+                tz,
+                node.diag ? node.log.bind(node) : null,
+                {
+                    allStations: PRODUCTS[product].allStations,
+                    station,
+                    cacheDir: node.cacheDir,
+                    sharedTtl: node.sharedCacheTtl,
+                    http: node.http,
+                    signal: aborter.signal
+                }
+            );
+
+            if (node.diag) {
+                node.log(
+                    `[DWD-Forecast] StationName resolved: ${
+                        stationName ?? "null"
+                    }`
                 );
+            }
+
+            const onlyNewRun =
+                typeof (msg && msg.onlyNewRun) === "boolean" ? msg.onlyNewRun : node.onlyNewRun;
+            if (onlyNewRun && isKnownRun(station, run)) {
+                if (node.diag) node.log(`[DWD-Forecast] Kein neuer Modelllauf (${run.issueTime}) für ${station}`);
+                return null;
+            }
 
-                if (node.diag) {
+            const before = timeSteps.length;
+            const effHoursAhead = Number(
+                (msg && msg.hoursAhead != null ? msg.hoursAhead : node.hoursAhead) || 0
+            );
+            const effectiveOnlyFuture =
+                typeof (msg && msg.onlyFuture) === "boolean"
+                    ? msg.onlyFuture
+                    : node.onlyFuture;
+
+            // 1) Vergangenheit entfernen
+            let { timeSteps: ts1, params: pa1 } = applyOnlyFutureFilter(
+                timeSteps,
+                params,
+                effectiveOnlyFuture
+            );
+            // 2) Stundenfenster anwenden
+            let { timeSteps: ts2, params: pa2 } = applyHoursAheadFilter(
+                ts1,
+                pa1,
+                effHoursAhead
+            );
+
+            if (node.diag) {
+                node.log(
+                    `[DWD-Forecast] hoursAhead filter: in=${before}, out=${ts2.length}`
+                );
+                if (ts2.length && before !== ts2.length) {
                     node.log(
-                        `[DWD-Forecast] StationName resolved: ${
-                            stationName ?? "null"
-                        }`
+                        `[DWD-Forecast] hoursAhead window: first=${new Date(
+                            ts2[0]
+                        ).toISOString()}, last=${new Date(
+                            ts2[ts2.length - 1]
+                        ).toISOString()}`
                     );
                 }
-
-                const before = timeSteps.length;
-                const effHoursAhead = Number(
-                    (msg && msg.hoursAhead != null ? msg.hoursAhead : node.hoursAhead) || 0
+                node.log(
+                    `[DWD-Forecast] onlyFuture=${effectiveOnlyFuture} | hoursAhead=${effHoursAhead}`
                 );
-                const effectiveOnlyFuture =
-                    typeof (msg && msg.onlyFuture) === "boolean"
-                        ? msg.onlyFuture
-                        : node.onlyFuture;
-
-                // 1) Vergangenheit entfernen
-                let { timeSteps: ts1, params: pa1 } = applyOnlyFutureFilter(
-                    timeSteps,
-                    params,
-                    effectiveOnlyFuture
+            }
+
+            // Stationskoordinaten aus dem Placemark, sonst aus dem Stationskatalog
+            const coords = coordinates || (nearest ? { lat: nearest.lat, lon: nearest.lon, elevation: nearest.elevation } : null);
+
+            const cfg = {
+                coreOnly: node.coreOnly,
+                units: msg && msg.units != null ? resolveUnits(msg.units, node.units) : node.units,
+                windDirMode: node.windDirMode, // NEW
+                tz,
+                pv: pvConfigFor(msg),
+                derived: msg && msg.derived != null ? parseDerivedList(msg.derived) : node.derived,
+                coordinates: coords,
+                parameters: parseParameterList(
+                    msg && msg.parameters != null ? msg.parameters : node.parameters,
+                    Object.keys(pa2)
+                )
+            };
+
+            // Wahrscheinlichkeitsgruppe als zusätzliche Elemente
+            const probabilities = parseProbabilityWindows(
+                msg && msg.probabilities != null ? msg.probabilities : node.probabilities
+            );
+            for (const w of probabilities) {
+                for (const code of PROBABILITY_GROUPS[w]) if (!cfg.parameters.includes(code)) cfg.parameters.push(code);
+            }
+
+            // Warnregeln; benötigte Elemente (z. B. windGust -> FX1) nur für die Auswertung, nicht für die Ausgabe
+            const alertRules = node.alertOutput ? alertRulesFor(msg, cfg) : [];
+            const alertParameters = [...cfg.parameters];
+            for (const rule of alertRules) {
+                const code = elementCodeForField(rule.field);
+                if (code && !alertParameters.includes(code)) alertParameters.push(code);
+            }
+
+            // 3) optional auf ein anderes Zeitraster umrechnen
+            const resample = parseInterval(msg && msg.resample != null ? msg.resample : node.resample);
+            const resampled = resample && resample !== 3600 * 1000 ? resampleSeries(ts2, pa2, resample) : null;
+
+            const hourly = normalizeRecords(ts2, pa2, cfg);
+            const alertSeries = alertParameters.length > cfg.parameters.length
+                ? normalizeRecords(ts2, pa2, { ...cfg, parameters: alertParameters })
+                : hourly;
+            let series = hourly;
+            if (resampled) {
+                series = normalizeRecords(resampled.timeSteps, resampled.params, { ...cfg, stepMinutes: resample / 60000 });
+                for (const rec of series) rec.interpolated = true;
+                if (node.diag) node.log(`[DWD-Forecast] Resampling ${resample / 60000} min: ${ts2.length} -> ${series.length}`);
+            }
+
+            const aggregation = AGGREGATIONS.includes(msg && msg.aggregation)
+                ? msg.aggregation
+                : node.aggregation;
+            const daily = aggregation !== "hourly" ? aggregateDaily(ts2, pa2, hourly, cfg) : undefined;
+
+            // Feldname -> Code/Einheit der gewählten Elemente
+            const elements = {};
+            for (const code of cfg.parameters) {
+                const el = elementTarget(code, cfg);
+                elements[el.name] = { code, unit: el.unit, available: !!pa2[code] };
+            }
+
+            if (node.diag && pa2 && Object.keys(pa2).length) {
+                node.log(
+                    `[DWD-Forecast] Codes (Auszug): ${Object.keys(pa2)
+                        .slice(0, 20)
+                        .join(", ")}`
                 );
-                // 2) Stundenfenster anwenden
-                let { timeSteps: ts2, params: pa2 } = applyHoursAheadFilter(
-                    ts1,
-                    pa1,
-                    effHoursAhead
+            }
+
+            if (node.diag) {
+                node.log(
+                    `[DWD-Forecast] Ausgabe-Datensätze: ${series.length}`
                 );
+            }
 
-                if (node.diag) {
-                    node.log(
-                        `[DWD-Forecast] hoursAhead filter: in=${before}, out=${ts2.length}`
-                    );
-                    if (ts2.length && before !== ts2.length) {
-                        node.log(
-                            `[DWD-Forecast] hoursAhead window: first=${new Date(
-                                ts2[0]
-                            ).toISOString()}, last=${new Date(
-                                ts2[ts2.length - 1]
-                            ).toISOString()}`
-                        );
-                    }
-                    node.log(
-                        `[DWD-Forecast] onlyFuture=${effectiveOnlyFuture} | hoursAhead=${effHoursAhead}`
-                    );
+            const out = {
+                ...buildAggregatedOutput(series, daily, aggregation),
+                station: {
+                    id: station,
+                    name: stationName || (nearest && nearest.name) || null,
+                    ...(coords ? { lat: coords.lat, lon: coords.lon, elevation: coords.elevation ?? null } : {}),
+                    ...(nearest
+                        ? {
+                            distanceKm: nearest.distanceKm,
+                            elevationDiff: nearest.elevationDiff
+                        }
+                        : {})
+                },
+                _meta: {
+                    url,
+                    product,
+                    count: series.length,
+                    stale: false,
+                    fetchedAt: new Date(fetchedAt || Date.now()).toISOString(),
+                    ageSeconds: fetchedAt ? Math.max(0, Math.round((Date.now() - fetchedAt) / 1000)) : 0,
+                    cache,
+                    run: run || null,
+                    paramsAvailable: Object.keys(pa2).sort(),
+                    windDirMode: node.windDirMode,
+                    elements,
+                    aggregation,
+                    timezone: tz,
+                    resample: resampled ? resample / 60000 : null,
+                    pv: cfg.pv ? { ...cfg.pv, available: !!pa2.Rad1h && !!coords } : null,
+                    days: daily ? daily.length : undefined,
+                    units: unitsMeta([...(aggregation !== "daily" ? series : []), ...(daily || [])], cfg)
                 }
+            };
 
-                const cfg = {
-                    coreOnly: node.coreOnly,
-                    toC: node.toC,
-                    windToKmh: node.windToKmh,
-                    pressureToHpa: node.pressureToHpa,
-                    visibilityToKm: node.visibilityToKm,
-                    windDirMode: node.windDirMode // NEW
-                };
+            if (node.changeOutput) sendChanges(station, run, out, { series, daily }, msg);
+            if (alertRules.length) sendAlerts(station, alertRules, alertSeries, out, cfg);
 
-                const series = normalizeRecords(ts2, pa2, cfg);
+            const format = OUTPUT_FORMATS.includes(msg && msg.outputFormat) ? msg.outputFormat : node.outputFormat;
+            out._meta.format = format;
 
-                if (node.diag && pa2 && Object.keys(pa2).length) {
-                    node.log(
-                        `[DWD-Forecast] Codes (Auszug): ${Object.keys(pa2)
-                            .slice(0, 20)
-                            .join(", ")}`
-                    );
+            saveLastGood(series, out._meta, station, daily, coords);
+
+            // 4) optional Punktabfrage; nutzt die ungefilterten Daten, damit auch "now" interpolierbar ist
+            if (msg && msg.at != null) {
+                const { requested, points } = queryPoints(msg.at, timeSteps, params, cfg);
+                if (daily && aggregation === "daily") out.daily = daily;
+                out.payload = format !== "json"
+                    ? points.filter(Boolean).map(({ source, ...rec }) => rec)
+                    : Array.isArray(msg.at) ? points : points[0];
+                out._meta.at = requested.map((ts) => (ts == null ? null : new Date(ts).toISOString()));
+                out._meta.count = points.filter(Boolean).length;
+                if (node.diag) node.log(`[DWD-Forecast] Punktabfrage: ${out._meta.count}/${points.length} Zeitpunkte`);
+            }
+
+            return applyOutputFormat(out, format, {
+                cfg,
+                coordinates: coords,
+                csvDelimiter: msg && msg.csvDelimiter ? msg.csvDelimiter : node.csvDelimiter,
+                influxMeasurement: node.influxMeasurement
+            });
+        }
+
+        // Änderungen gegenüber dem letzten Lauf auf den zweiten Ausgang
+        function sendChanges(station, run, out, curr, msg) {
+            const prev = readLastGood()[station];
+            if (!prev || isKnownRun(station, run)) return;
+
+            let thresholds = node.changeThresholds;
+            if (msg && msg.changeThresholds != null) {
+                try {
+                    thresholds = parseChangeThresholds(msg.changeThresholds);
+                } catch (e) {
+                    node.warn(t("runtime.warnChangeThresholds", { error: e.message }));
                 }
+            }
 
-                if (node.diag) {
-                    node.log(
-                        `[DWD-Forecast] Ausgabe-Datensätze: ${series.length}`
-                    );
+            const report = buildChangeReport(prev, curr, thresholds);
+            if (!report) return;
+            sendTo("changes", {
+                topic: station,
+                payload: {
+                    station,
+                    previousRun: prev.meta && prev.meta.run ? prev.meta.run.issueTime : null,
+                    currentRun: run ? run.issueTime : null,
+                    ...report
+                },
+                station: out.station,
+                _meta: {
+                    thresholds,
+                    previousFetchedAt: new Date(prev.at).toISOString(),
+                    count: report.hourly.length + report.daily.length + report.newPrecipitation.length
+                }
+            });
+        }
+
+        // Regeln aus Konfiguration bzw. msg.alertRules (ersetzt die eigenen Regeln)
+        function alertRulesFor(msg, cfg) {
+            if (msg && msg.alertRules != null) {
+                try {
+                    return resolveAlertRules(node.alertPresets, msg.alertRules, cfg);
+                } catch (e) {
+                    node.warn(t("runtime.warnAlertRules", { error: e.message }));
                 }
+            }
+            return resolveAlertRules(node.alertPresets, node.alertRules, cfg);
+        }
+
+        // aktive Warnungen je Station und Regel; gesendet wird nur bei Zustandswechsel (außer alertRepeat)
+        const activeAlerts = new Set();
+
+        // Nachricht auf den Warn-Ausgang, wenn eine Regel auslöst bzw. (state "cleared") nicht mehr zutrifft
+        function sendAlerts(station, rules, series, out, cfg) {
+            const now = Date.now();
+            for (const rule of rules) {
+                const key = `${station}|${rule.id}`;
+                const wasActive = activeAlerts.has(key);
+                const match = evaluateAlertRule(rule, series, now);
+                let alert;
+                if (match) {
+                    activeAlerts.add(key);
+                    if (wasActive && !node.alertRepeat) continue;
+                    alert = { ...buildAlert(rule, match, station, cfg), state: "active" };
+                } else {
+                    if (!wasActive) continue;
+                    activeAlerts.delete(key);
+                    alert = {
+                        ruleId: rule.id,
+                        station,
+                        severity: rule.severity,
+                        field: rule.field,
+                        state: "cleared",
+                        message: t("alerts.cleared", { id: rule.id, station })
+                    };
+                }
+                if (node.diag) node.log(`[DWD-Forecast] Warnung ${rule.id} (${station}): ${alert.message}`);
+                sendTo("alerts", {
+                    topic: rule.id,
+                    payload: alert,
+                    station: out.station,
+                    _meta: { rule, run: out._meta.run }
+                });
+            }
+        }
+
+        // Ergebnis je Station auf den Status-Ausgang: ok | unchanged | stale | error
+        function sendFetchStatus(status, station, error, count) {
+            sendTo("status", {
+                topic: station || "",
+                payload: {
+                    status,
+                    station: station || null,
+                    code: error ? error.code : null,
+                    count: count == null ? null : count,
+                    at: new Date().toISOString()
+                },
+                ...(error ? { error } : {})
+            });
+        }
 
-                const out = {
-                    payload: series,
-                    station: { id: station, name: stationName || null },
-                    _meta: {
-                        url,
-                        count: series.length,
-                        stale: false,
-                        paramsAvailable: Object.keys(pa2).sort(),
-                        windDirMode: node.windDirMode
+        // Fehler mit Code an Catch-Nodes melden; msg.error belegt Node-RED selbst, daher eigene Felder
+        function reportError(text, error, msg) {
+            node.error(text, { ...(msg || {}), errorCode: error.code, errorDetails: error });
+        }
+
+        // ---- Haupt-Logik ----
+        async function runFetch(msg) {
+            // Station(en): msg.station > msg.location > Konfiguration (ID/Liste, sonst Koordinaten)
+            let stations = parseStationList(msg && msg.station);
+            let nearest = null;
+            if (!stations.length) {
+                const loc =
+                    normalizeLocation(msg && msg.location) ||
+                    (!node.stations.length ? node.location : null);
+                if (loc) {
+                    try {
+                        setStatus(t("runtime.statusLookup"), "dot", "blue");
+                        nearest = await resolveNearestStation(loc);
+                        stations = [nearest.id];
+                    } catch (err) {
+                        if (aborter.signal.aborted) return;
+                        const error = { ...describeError(err, null), code: "STATION_LOOKUP" };
+                        reportError(t("runtime.errorStationLookup", { error: error.message }), error, msg);
+                        setStatus(t("runtime.statusError"), "ring", "red");
+                        sendFetchStatus("error", null, error);
+                        return;
                     }
-                };
+                }
+            }
+            if (!stations.length) stations = node.stations;
+
+            setStatus(t("runtime.statusLoading"), "dot", "blue");
 
-                saveLastGood(series, out._meta, station);
+            if (stations.length > 1) return runFetchMulti(stations, msg);
 
+            const station = stations[0] || "";
+            try {
+                const out = await fetchStation(station, nearest, msg);
+                if (aborter.signal.aborted) return;
+                if (!out) {
+                    setStatus(t("runtime.statusNoNewRun"), "ring", "green");
+                    sendFetchStatus("unchanged", station);
+                    return;
+                }
                 setStatus(
-                    t("runtime.statusOk", { count: series.length }),
+                    t("runtime.statusOk", { count: out._meta.count }),
                     "dot",
                     "green"
                 );
-                node.send(out);
+                sendTo("forecast", out);
+                sendFetchStatus("ok", station, null, out._meta.count);
             } catch (err) {
+                // Node geschlossen bzw. neu deployt: kein Status, keine Ausgabe
+                if (aborter.signal.aborted) return;
+                const error = describeError(err, station);
                 if (node.staleOnError) {
-                    const sent = sendStaleIfAvailable();
-                    if (sent) return;
+                    const stale = sendStaleIfAvailable(station, msg);
+                    if (stale) {
+                        sendFetchStatus("stale", station, error, stale._meta.count);
+                        return;
+                    }
                 }
 
-                const errMsg =
-                    err && err.message ? err.message : String(err);
-                node.error(
-                    t("runtime.errorFetch", { error: errMsg }),
-                    err
-                );
+                reportError(t("runtime.errorFetch", { error: error.message }), error, msg);
                 setStatus(t("runtime.statusError"), "ring", "red");
+                sendFetchStatus("error", station, error);
             }
         }
 
-        // ---- Auto-Refresh Timer ----
-        function scheduleRefresh() {
+        // mehrere Stationen parallel (begrenzt), Fehler je Station isoliert
+        async function runFetchMulti(stations, msg) {
+            const mode = MULTI_OUTPUTS.includes(msg && msg.multiOutput) ? msg.multiOutput : node.multiOutput;
+
+            const results = await mapLimit(stations, node.concurrency, async (station) => {
+                try {
+                    return { station, out: await fetchStation(station, null, msg) };
+                } catch (err) {
+                    if (aborter.signal.aborted) return { station, out: null, error: err.message };
+                    const error = describeError(err, station);
+                    reportError(t("runtime.errorFetchStation", { station, error: error.message }), error, msg);
+                    const stale = node.staleOnError ? buildStaleOutput(station, msg) : null;
+                    return { station, out: stale, error: error.message, details: error };
+                }
+            });
+            if (aborter.signal.aborted) return;
+
+            for (const r of results) {
+                const status = r.error ? (r.out ? "stale" : "error") : r.out ? "ok" : "unchanged";
+                sendFetchStatus(status, r.station, r.details, r.out ? r.out._meta.count : null);
+            }
+
+            const ok = results.filter((r) => !r.error).length;
+            const withData = results.filter((r) => r.out);
+            const errors = {};
+            for (const r of results) if (r.error) errors[r.station] = r.error;
+            const unchanged = results.filter((r) => !r.out && !r.error).map((r) => r.station);
+
+            if (!withData.length) {
+                if (ok) setStatus(t("runtime.statusNoNewRun"), "ring", "green");
+                else setStatus(t("runtime.statusError"), "ring", "red");
+                return;
+            }
+            setStatus(
+                t("runtime.statusOkMulti", { ok, total: stations.length }),
+                ok === stations.length ? "dot" : "ring",
+                ok === stations.length ? "green" : "yellow"
+            );
+
+            if (mode === "split") {
+                for (const r of withData) sendTo("forecast", { ...r.out, topic: r.station });
+                return;
+            }
+
+            // kombiniert: alles nach Stations-ID
+            const payload = {};
+            const daily = {};
+            const stationInfo = {};
+            const metas = {};
+            for (const r of withData) {
+                payload[r.station] = r.out.payload;
+                if (r.out.daily) daily[r.station] = r.out.daily;
+                stationInfo[r.station] = r.out.station;
+                metas[r.station] = r.out._meta;
+            }
+            sendTo("forecast", {
+                payload,
+                ...(Object.keys(daily).length ? { daily } : {}),
+                stations: stationInfo,
+                _meta: {
+                    stations: metas,
+                    ok,
+                    total: stations.length,
+                    errors,
+                    unchanged
+                }
+            });
+        }
+
+        // ---- Überlappungsschutz: Zeitplan-Auslöser werden während eines Abrufs verworfen oder (einmal) vorgemerkt,
+        // Eingangsnachrichten laufen der Reihe nach; gleiche Anfragen werden zusammengefasst,
+        // bei mehr als PENDING_MAX wartenden fällt die älteste heraus (eine Warnung, bis wieder Ruhe ist) ----
+        const PENDING_MAX = 10;
+        let inFlight = false;
+        let queued = false;
+        let warnedFull = false;
+        const pending = [];
+
+        // Vergleichsschlüssel ohne _msgid; nicht serialisierbare Nachrichten werden nie zusammengefasst
+        function requestKey(msg) {
+            try {
+                const { _msgid, ...rest } = msg || {};
+                return JSON.stringify(rest);
+            } catch (e) {
+                return null;
+            }
+        }
+
+        function enqueue(msg) {
+            const key = requestKey(msg);
+            if (key != null && pending.some((p) => p.key === key)) {
+                if (node.diag) node.log("[DWD-Forecast] Abruf läuft noch – gleiche Anfrage bereits eingereiht");
+                return;
+            }
+            pending.push({ key, msg });
+            if (pending.length > PENDING_MAX) {
+                pending.shift();
+                if (!warnedFull) node.warn(t("runtime.warnQueueFull", { max: PENDING_MAX }));
+                warnedFull = true;
+            }
+            if (node.diag) node.log(`[DWD-Forecast] Abruf läuft noch – Nachricht eingereiht (${pending.length})`);
+        }
+
+        async function trigger(msg, scheduled = false) {
+            if (inFlight) {
+                if (!scheduled) {
+                    enqueue(msg);
+                    return;
+                }
+                if (node.overlap === "queue") queued = true;
+                if (node.diag) node.log(`[DWD-Forecast] Abruf läuft noch – Auslöser ${node.overlap === "queue" ? "vorgemerkt" : "übersprungen"}`);
+                return;
+            }
+            inFlight = true;
+            try {
+                let next = msg;
+                while (next && !aborter.signal.aborted) {
+                    await runFetch(next);
+                    if (pending.length) {
+                        next = pending.shift().msg;
+                    } else {
+                        next = queued ? {} : null;
+                        queued = false;
+                    }
+                }
+            } finally {
+                inFlight = false;
+                warnedFull = false;
+            }
+        }
+
+        // ---- Auto-Refresh: Intervall, Veröffentlichungszeiten oder cron ----
+        function nextScheduledRun(now) {
+            if (node.refreshMode === "interval" && node.autoRefresh > 0) return now + node.autoRefresh * 1000;
+            if (node.refreshMode === "publication") return nextPublicationRun(now, node.product, node.publishDelay);
+            if (node.refreshMode === "cron" && node.cron) return nextCronRun(node.cron, now, node.timezone);
+            return null;
+        }
+
+        function scheduleRefresh(target) {
             if (refreshTimer) {
-                clearInterval(refreshTimer);
+                clearTimeout(refreshTimer);
                 refreshTimer = null;
             }
-            const s = Number(node.autoRefresh || 0);
-            if (s > 0) {
-                refreshTimer = setInterval(() => runFetch({}), s * 1000);
-            }
+            nextRun = target != null ? target : nextScheduledRun(Date.now());
+            if (nextRun == null) return;
+            if (node.diag) node.log(`[DWD-Forecast] Nächster Abruf: ${new Date(nextRun).toISOString()}`);
+            refreshTimer = setTimeout(() => {
+                refreshTimer = null;
+                // Etappe bei sehr langen Wartezeiten: gleiches Ziel erneut planen
+                if (Date.now() < nextRun) {
+                    scheduleRefresh(nextRun);
+                    return;
+                }
+                scheduleRefresh();
+                trigger({}, true);
+            }, Math.min(MAX_TIMER, Math.max(0, nextRun - Date.now())));
         }
 
         // ---- Event-Handler ----
-        node.on("input", runFetch);
+        node.on("input", (msg) => trigger(msg));
 
         node.on("close", () => {
-            if (refreshTimer) clearInterval(refreshTimer);
+            // laufende Downloads und wartende Wiederholungen abbrechen
+            aborter.abort();
+            queued = false;
+            pending.length = 0;
+            if (refreshTimer) clearTimeout(refreshTimer);
+            nextRun = null;
             setStatus("");
         });
 
         // Initialisierung
         scheduleRefresh();
         if (node.fetchOnDeploy) {
-            runFetch({}).catch(() => {
+            trigger({}, true).catch(() => {
                 // Fehler werden in runFetch geloggt
             });
         } else {
@@ -1138,4 +4118,104 @@ module.exports = function (RED) {
     }
 
     RED.nodes.registerType("dwd-weatherforecast", DwdWeatherForecastNode);
+
+    // ---- Admin-Endpunkte für den Editor ----
+    RED.httpAdmin.get(
+        "/dwd-weatherforecast/elements",
+        RED.auth.needsPermission("dwd-weatherforecast.read"),
+        (req, res) => {
+            res.json(
+                Object.values(MOSMIX_ELEMENTS).map(({ code, name, unit, desc }) => ({ code, name, unit, desc }))
+            );
+        }
+    );
+
+    // Quelle, Katalog und Proxy für Editor-Anfragen: aus der Konfiguration des deployten Nodes,
+    // sonst nur die DWD-Vorgaben (keine beliebigen Dateien/URLs über die Admin-API)
+    const DWD_URL_TEMPLATES = [DEFAULT_URL_TEMPLATE, ...Object.values(PRODUCTS).map((p) => p.url)];
+
+    function editorSource(req) {
+        const deployed = req.query.node ? RED.nodes.getNode(String(req.query.node)) : null;
+        if (deployed && deployed.type === "dwd-weatherforecast") {
+            return {
+                sourceUrl: deployed.sourceUrl,
+                catalog: deployed.stationCatalog,
+                cacheDir: deployed.cacheDir,
+                sharedTtl: deployed.sharedCacheTtl,
+                http: { ...deployed.http, retries: 0 }
+            };
+        }
+        const tpl = String(req.query.sourceUrl || "").trim();
+        return {
+            sourceUrl: DWD_URL_TEMPLATES.includes(tpl) ? tpl : DEFAULT_URL_TEMPLATE,
+            catalog: "",
+            cacheDir: "",
+            sharedTtl: SHARED_TTL_DEFAULT,
+            http: normalizeHttpOptions({ timeout: req.query.timeout, retries: 0 })
+        };
+    }
+
+    // Stationssuche (Typeahead) im Stationskatalog
+    RED.httpAdmin.get(
+        "/dwd-weatherforecast/stations",
+        RED.auth.needsPermission("dwd-weatherforecast.read"),
+        async (req, res) => {
+            try {
+                const src = editorSource(req);
+                const stations = await loadStationCatalog(src.catalog, src.http);
+                const limit = Math.min(50, Math.max(1, Number(req.query.limit) || 20));
+                res.json(searchStations(stations, req.query.q, limit));
+            } catch (e) {
+                res.status(502).json({ error: e.message });
+            }
+        }
+    );
+
+    // Testabruf aus dem Editor: Station, Modelllauf, Zeitraum und verfügbare Elemente
+    RED.httpAdmin.get(
+        "/dwd-weatherforecast/test",
+        RED.auth.needsPermission("dwd-weatherforecast.read"),
+        async (req, res) => {
+            const station = parseStationList(req.query.station)[0];
+            if (!station) {
+                res.status(400).json({ error: t("runtime.errorStationMissing") });
+                return;
+            }
+            const product = PRODUCTS[req.query.product] ? req.query.product : "mosmix_l";
+            const src = editorSource(req);
+            try {
+                const url = buildUrl(station, src.sourceUrl, product);
+                // wie beim Node: gemeinsamer Abruf und Cache, damit ein Test keine Gesamtdatei erneut lädt
+                const parsed = await fetchMosmixShared(url, DEFAULT_TZ, null, {
+                    allStations: PRODUCTS[product].allStations,
+                    station,
+                    cacheDir: src.cacheDir,
+                    sharedTtl: src.sharedTtl,
+                    http: src.http
+                });
+                const steps = parsed.timeSteps || [];
+                res.json({
+                    station,
+                    name: parsed.stationName || null,
+                    coordinates: parsed.coordinates || null,
+                    product,
+                    url,
+                    run: parsed.run || null,
+                    from: steps.length ? new Date(steps[0]).toISOString() : null,
+                    to: steps.length ? new Date(steps[steps.length - 1]).toISOString() : null,
+                    steps: steps.length,
+                    parameters: Object.keys(parsed.params || {}).sort()
+                });
+            } catch (e) {
+                // bei Tippfehlern ähnliche Stationen vorschlagen
+                let suggestions = [];
+                try {
+                    suggestions = searchStations(await loadStationCatalog(src.catalog, src.http), station, 5);
+                } catch (err) {
+                    suggestions = [];
+                }
+                res.status(e.status === 404 ? 404 : 502).json({ error: e.message, code: errorCode(e), station, suggestions });
+            }
+        }
+    );
 };
\ No newline at end of file